@@ -312,6 +312,57 @@ class AnimationController {
         return 1.0; // Fallback
     }
 
+    /**
+     * Get display name of an animation
+     * @param {number} selectedAnimationIndex - Animation index from UI
+     * @returns {string|null} Animation name, or null for "No Animation"
+     */
+    getAnimationName(selectedAnimationIndex) {
+        if (selectedAnimationIndex < 0) {
+            return null;
+        }
+
+        if (selectedAnimationIndex >= CONFIG.ANIMATION.LIBRARY_INDEX_OFFSET) {
+            const libraryIndex = selectedAnimationIndex - CONFIG.ANIMATION.LIBRARY_INDEX_OFFSET;
+            const libraryAnimations = this.animationLibrary ? this.animationLibrary.getAnimations() : [];
+            if (libraryIndex >= 0 && libraryIndex < libraryAnimations.length) {
+                return libraryAnimations[libraryIndex].name;
+            }
+        }
+        else if (selectedAnimationIndex >= CONFIG.ANIMATION.PROCEDURAL_INDEX_OFFSET) {
+            const proceduralIndex = selectedAnimationIndex - CONFIG.ANIMATION.PROCEDURAL_INDEX_OFFSET;
+            if (proceduralIndex >= 0 && proceduralIndex < this.proceduralAnimations.length) {
+                return this.proceduralAnimations[proceduralIndex].name;
+            }
+        }
+        else if (selectedAnimationIndex < this.animations.length) {
+            return this.animations[selectedAnimationIndex].name || `Animation ${selectedAnimationIndex + 1}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get where an animation comes from
+     * @param {number} selectedAnimationIndex - Animation index from UI
+     * @returns {string|null} 'embedded', 'procedural', the library source ('library', 'uploaded'), or null
+     */
+    getAnimationSource(selectedAnimationIndex) {
+        if (selectedAnimationIndex < 0) {
+            return null;
+        }
+
+        if (selectedAnimationIndex >= CONFIG.ANIMATION.LIBRARY_INDEX_OFFSET) {
+            const libraryIndex = selectedAnimationIndex - CONFIG.ANIMATION.LIBRARY_INDEX_OFFSET;
+            const libraryAnimations = this.animationLibrary ? this.animationLibrary.getAnimations() : [];
+            return libraryAnimations[libraryIndex] ? libraryAnimations[libraryIndex].source : null;
+        }
+        if (selectedAnimationIndex >= CONFIG.ANIMATION.PROCEDURAL_INDEX_OFFSET) {
+            return 'procedural';
+        }
+        return 'embedded';
+    }
+
     /**
      * Check if animation is selected (not "No Animation")
      * @param {number} selectedAnimationIndex - Animation index from UI
@@ -30,7 +30,7 @@ class AnimationFrameCalculator {
 
     /**
      * Calculate total number of sprites to generate
-     * @param {number} directionCount - Number of directions (8 or 16)
+     * @param {number} directionCount - Number of directions
      * @param {number} frameCount - Number of animation frames
      * @returns {number} Total sprites
      */
@@ -0,0 +1,137 @@
+// APNG Encoder - Encodes RGBA frames into an animated PNG (full alpha, lossless)
+// Uses the fflate global (already loaded for the FBX loader) for zlib compression
+class ApngEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.frames = [];
+        this.crcTable = null;
+    }
+
+    /**
+     * Queue a frame
+     * @param {Uint8ClampedArray} rgba - Pixel data (width * height * 4)
+     * @param {number} fps - Playback rate; each frame lasts 1/fps seconds
+     */
+    addFrame(rgba, fps) {
+        this.frames.push({ rgba, fps });
+    }
+
+    /**
+     * Encode all queued frames
+     * @param {boolean} loop - Repeat forever instead of playing once
+     * @returns {Uint8Array} PNG file bytes
+     */
+    encode(loop = true) {
+        if (this.frames.length === 0) {
+            throw new Error('No frames to encode');
+        }
+
+        const chunks = [];
+        let sequence = 0;
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, this.width);
+        headerView.setUint32(4, this.height);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // Color type: RGBA
+        chunks.push(this.buildChunk('IHDR', header));
+
+        const animationControl = new Uint8Array(8);
+        const animationView = new DataView(animationControl.buffer);
+        animationView.setUint32(0, this.frames.length);
+        animationView.setUint32(4, loop ? 0 : 1); // Play count, 0 = forever
+        chunks.push(this.buildChunk('acTL', animationControl));
+
+        this.frames.forEach((frame, index) => {
+            const frameControl = new Uint8Array(26);
+            const frameView = new DataView(frameControl.buffer);
+            frameView.setUint32(0, sequence++);
+            frameView.setUint32(4, this.width);
+            frameView.setUint32(8, this.height);
+            frameView.setUint32(12, 0);
+            frameView.setUint32(16, 0);
+            frameView.setUint16(20, 1);          // Delay numerator
+            frameView.setUint16(22, frame.fps);  // Delay denominator
+            frameControl[24] = 1;                // Dispose to transparent black
+            frameControl[25] = 0;                // Replace, don't blend
+            chunks.push(this.buildChunk('fcTL', frameControl));
+
+            const compressed = fflate.zlibSync(this.filterScanlines(frame.rgba), { level: 6 });
+
+            if (index === 0) {
+                chunks.push(this.buildChunk('IDAT', compressed));
+            } else {
+                const frameData = new Uint8Array(4 + compressed.length);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(compressed, 4);
+                chunks.push(this.buildChunk('fdAT', frameData));
+            }
+        });
+
+        chunks.push(this.buildChunk('IEND', new Uint8Array(0)));
+
+        const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        const totalLength = signature.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const output = new Uint8Array(totalLength);
+        output.set(signature, 0);
+
+        let offset = signature.length;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return output;
+    }
+
+    // Prefix every row with filter type 1 (Sub), which suits flat sprite colors
+    filterScanlines(rgba) {
+        const stride = this.width * 4;
+        const output = new Uint8Array((stride + 1) * this.height);
+
+        for (let y = 0; y < this.height; y++) {
+            const rowStart = y * stride;
+            const outStart = y * (stride + 1);
+            output[outStart] = 1;
+            for (let x = 0; x < stride; x++) {
+                const left = x >= 4 ? rgba[rowStart + x - 4] : 0;
+                output[outStart + 1 + x] = (rgba[rowStart + x] - left) & 0xff;
+            }
+        }
+
+        return output;
+    }
+
+    buildChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
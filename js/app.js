@@ -7,10 +7,17 @@ class App {
         this.animationLibrary = new AnimationLibrary();
         this.modelLoader = new ModelLoader(this.threeSetup, this.uiController);
         this.equipmentManager = new EquipmentManager(this.threeSetup, this.uiController);
+        this.recolorMask = new RecolorMask(this.equipmentManager);
         this.animationController = new AnimationController(this.threeSetup, this.uiController, this.animationLibrary, this.equipmentManager);
         this.undoManager = new UndoManager();
         this.gizmoController = new GizmoController(this.threeSetup, this.equipmentManager, this.uiController, this.undoManager);
-        this.spriteGenerator = new SpriteGenerator(this.threeSetup, this.uiController, this.animationController);
+        this.spriteGenerator = new SpriteGenerator(
+            this.threeSetup,
+            this.uiController,
+            this.animationController,
+            this.equipmentManager,
+            this.recolorMask
+        );
         this.fileHandler = new FileHandler(this.uiController);
 
         // Initialize the application
@@ -28,6 +35,7 @@ class App {
 
         // Setup event listeners
         this.setupEventListeners();
+        this.refreshMaskTargets();
 
         // Setup error handlers
         this.setupErrorHandlers();
@@ -102,6 +110,39 @@ class App {
             }
         });
 
+        this.uiController.onDirectionSetChange(() => this.uiController.updateDirectionSettings());
+        this.uiController.onAutoFramingToggle(() => this.uiController.updateAutoFramingSettings());
+        this.uiController.onCameraPresetChange(() => this.handleCameraPresetChange());
+        this.uiController.onProjectionChange(() => this.uiController.updateProjectionSettings());
+        this.uiController.onMirrorSymmetryToggle(() => this.uiController.updateMirrorShadowInfo());
+        this.uiController.onShadowSettingsChange(() => this.uiController.updateShadowSettings());
+        this.uiController.onRenderStyleChange(() => this.uiController.updateRenderStyleSettings());
+
+        this.uiController.onPixelArtToggle((e) => {
+            if (e.target.checked) {
+                this.uiController.showPixelArtSettings();
+            } else {
+                this.uiController.hidePixelArtSettings();
+            }
+        });
+
+        // Recolor mask controls
+        this.uiController.onMaskPassToggle((e) => {
+            if (e.target.checked) {
+                this.uiController.showMaskSettings();
+            } else {
+                this.uiController.hideMaskSettings();
+            }
+        });
+
+        this.uiController.onMaskTargetChange(() => {
+            this.uiController.setMaskChannel(this.recolorMask.getChannel(this.uiController.getMaskTarget()));
+        });
+
+        this.uiController.onMaskChannelChange(() => {
+            this.recolorMask.setChannel(this.uiController.getMaskTarget(), this.uiController.getMaskChannel());
+        });
+
         // Camera controls
         this.uiController.onCameraDistanceChange((e) => {
             const distance = parseFloat(e.target.value);
@@ -291,6 +332,10 @@ class App {
                 this.animationController.reset();
             }
 
+            // Material tags of the previous model no longer apply
+            this.recolorMask.clearMaterialTags();
+            this.refreshMaskTargets();
+
             // Enable generate button and bone viewer after successful load
             setTimeout(() => {
                 this.uiController.hideLoading();
@@ -303,6 +348,15 @@ class App {
         }
     }
 
+    refreshMaskTargets() {
+        const model = this.threeSetup.getLoadedModel();
+        this.uiController.populateMaskTargets(
+            this.equipmentManager.getAvailableSlots(),
+            model ? this.recolorMask.getMaterialKeys(model) : []
+        );
+        this.uiController.setMaskChannel(this.recolorMask.getChannel(this.uiController.getMaskTarget()));
+    }
+
     async handleGenerateSprites() {
         try {
             await this.spriteGenerator.generateSprites();
@@ -347,7 +401,24 @@ class App {
     async handleDownloadZip() {
         try {
             const sprites = this.spriteGenerator.getGeneratedSprites();
-            await this.fileHandler.createZipArchive(sprites);
+            const format = this.uiController.getExportFormat();
+            const settings = this.spriteGenerator.getGenerationSettings();
+            await this.fileHandler.createZipArchive(sprites, format, {
+                fps: this.uiController.getExportFps(),
+                loop: this.uiController.isExportLoopEnabled(),
+                animationName: settings ? settings.animationName : null,
+                modelName: settings ? settings.modelName : null,
+                spriteSize: settings ? settings.spriteSize : null,
+                pivot: this.uiController.getExportPivot(),
+                pixelsPerUnit: this.uiController.getPixelsPerUnit(),
+                resolutionScales: this.uiController.getResolutionScales(),
+                fileNameTemplate: this.uiController.getFileNameTemplate(),
+                folderTemplate: this.uiController.getFolderTemplate(),
+                outputTemplate: this.uiController.getOutputTemplate(),
+                previewFolderTemplate: this.uiController.getPreviewFolderTemplate(),
+                archiveTemplate: this.uiController.getArchiveTemplate(),
+                manifest: this.spriteGenerator.getGenerationManifest()
+            });
         } catch (error) {
             console.error('Error downloading ZIP:', error);
         }
@@ -755,6 +826,22 @@ class App {
         }, 100);
     }
 
+    // A preset sets the capture projection and shows its exact pitch in the viewport
+    handleCameraPresetChange() {
+        const preset = this.uiController.getCameraPreset();
+        if (!preset) return;
+
+        const { PITCH, PROJECTION } = CONFIG.CAMERA_PRESETS[preset];
+        this.uiController.setProjection(PROJECTION);
+
+        this.isManualCameraAdjustment = true;
+        this.threeSetup.setCameraPitch(PITCH);
+        this.uiController.syncCameraProperties(this.threeSetup.getCamera());
+        setTimeout(() => {
+            this.isManualCameraAdjustment = false;
+        }, 100);
+    }
+
     handleResetCamera() {
         this.uiController.resetCameraProperties();
         this.handleCameraPropertyChange();
@@ -0,0 +1,81 @@
+// Aseprite Exporter - Builds Aseprite sprite sheet JSON (json-array) with frame tags and pivot slices
+class AsepriteExporter {
+    /**
+     * Build Aseprite sheet metadata for a grid sheet
+     * Frames are listed direction by direction so each direction is one contiguous frame tag
+     * @param {Object} sheet - Result of SpriteSheetBuilder.buildGridSheet()
+     * @param {string} imageFileName - File name of the sheet image
+     * @param {Object} settings - {fps, loop, animationName, getPivot}
+     *   getPivot(sprite, w, h) returns a normalized pivot with origin bottom-left
+     * @returns {Object}
+     */
+    buildSheetData(sheet, imageFileName, settings) {
+        const directions = Sprite.groupByDirection(sheet.frames, frame => frame.sprite);
+        const ordered = directions.flat();
+        const duration = Math.round(1000 / settings.fps);
+
+        const frames = ordered.map(frame => ({
+            filename: frame.sprite.fileName,
+            frame: { x: frame.x, y: frame.y, w: frame.w, h: frame.h },
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: { x: 0, y: 0, w: frame.w, h: frame.h },
+            sourceSize: { w: frame.w, h: frame.h },
+            duration
+        }));
+
+        return {
+            frames,
+            meta: {
+                app: CONFIG.EXPORT.APP_NAME,
+                version: '1.3',
+                image: imageFileName,
+                format: 'RGBA8888',
+                size: { w: sheet.width, h: sheet.height },
+                scale: '1',
+                frameTags: this.buildFrameTags(directions, settings),
+                layers: [{ name: 'Sprite', opacity: 255, blendMode: 'normal' }],
+                slices: [this.buildPivotSlice(ordered, settings.getPivot)]
+            }
+        };
+    }
+
+    // One tag per direction over its contiguous run of frames
+    buildFrameTags(directions, settings) {
+        let from = 0;
+
+        return directions.map(frames => {
+            const tag = {
+                name: frames[0].sprite.getAnimationKey(settings.animationName),
+                from,
+                to: from + frames.length - 1,
+                direction: 'forward',
+                color: '#000000ff'
+            };
+            if (!settings.loop) {
+                tag.repeat = '1';
+            }
+            from += frames.length;
+            return tag;
+        });
+    }
+
+    // Pivot in pixels from the top-left corner of each frame
+    buildPivotSlice(orderedFrames, getPivot) {
+        return {
+            name: 'pivot',
+            color: '#0000ffff',
+            keys: orderedFrames.map((frame, index) => {
+                const pivot = getPivot(frame.sprite, frame.w, frame.h);
+                return {
+                    frame: index,
+                    bounds: { x: 0, y: 0, w: frame.w, h: frame.h },
+                    pivot: {
+                        x: Math.round(pivot.x * frame.w),
+                        y: Math.round((1 - pivot.y) * frame.h)
+                    }
+                };
+            })
+        };
+    }
+}
@@ -0,0 +1,370 @@
+// Atlas Packer - Trims transparent borders and bin-packs sprites into power-of-two atlas pages
+class AtlasPacker {
+    constructor(spriteSheetBuilder, options = {}) {
+        this.spriteSheetBuilder = spriteSheetBuilder;
+        this.maxSize = options.maxSize || CONFIG.EXPORT.ATLAS_MAX_SIZE;
+        this.padding = options.padding !== undefined ? options.padding : CONFIG.EXPORT.ATLAS_PADDING;
+    }
+
+    /**
+     * Trim and pack sprites into one or more atlas pages
+     * @param {Sprite[]} sprites - Generated sprites
+     * @returns {Promise<Array>} Pages: [{canvas, width, height, frames: [{sprite, frame, spriteSourceSize, sourceSize, trimmed}]}]
+     */
+    async pack(sprites) {
+        if (!sprites || sprites.length === 0) {
+            throw new Error('No sprites to pack');
+        }
+
+        const images = await Promise.all(sprites.map(sprite => this.spriteSheetBuilder.loadImage(sprite.data)));
+        const items = [];
+        for (let index = 0; index < images.length; index++) {
+            items.push({
+                index,
+                sprite: sprites[index],
+                image: images[index],
+                sourceSize: { w: images[index].width, h: images[index].height },
+                trim: await this.computeSpriteTrimRect(sprites[index], images[index])
+            });
+        }
+
+        // Largest first gives MaxRects the best chance of a tight fit
+        const sorted = [...items].sort((a, b) =>
+            Math.max(b.trim.w, b.trim.h) - Math.max(a.trim.w, a.trim.h) ||
+            (b.trim.w * b.trim.h) - (a.trim.w * a.trim.h)
+        );
+
+        const bins = [];
+        sorted.forEach(item => {
+            const w = item.trim.w + this.padding;
+            const h = item.trim.h + this.padding;
+
+            if (item.trim.w > this.maxSize || item.trim.h > this.maxSize) {
+                throw new Error(`Sprite ${item.sprite.fileName} does not fit in a ${this.maxSize}px atlas page`);
+            }
+
+            let placement = null;
+            let bin = null;
+            for (const candidate of bins) {
+                placement = candidate.insert(w, h);
+                if (placement) {
+                    bin = candidate;
+                    break;
+                }
+            }
+
+            if (!placement) {
+                bin = new MaxRectsBin(this.maxSize + this.padding, this.maxSize + this.padding);
+                bin.items = [];
+                bins.push(bin);
+                placement = bin.insert(w, h);
+            }
+
+            bin.items.push({ item, x: placement.x, y: placement.y });
+        });
+
+        return bins.map(bin => this.renderPage(bin.items));
+    }
+
+    renderPage(placedItems) {
+        // Shrink the page to the smallest power-of-two size that holds every frame
+        const usedWidth = Math.max(...placedItems.map(p => p.x + p.item.trim.w));
+        const usedHeight = Math.max(...placedItems.map(p => p.y + p.item.trim.h));
+        const width = this.nextPowerOfTwo(usedWidth);
+        const height = this.nextPowerOfTwo(usedHeight);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        // Keep metadata in generation order rather than packing order
+        const ordered = [...placedItems].sort((a, b) => a.item.index - b.item.index);
+
+        const frames = ordered.map(({ item, x, y }) => {
+            const trim = item.trim;
+            context.drawImage(item.image, trim.x, trim.y, trim.w, trim.h, x, y, trim.w, trim.h);
+
+            return {
+                sprite: item.sprite,
+                frame: { x, y, w: trim.w, h: trim.h },
+                spriteSourceSize: { x: trim.x, y: trim.y, w: trim.w, h: trim.h },
+                sourceSize: { w: item.sourceSize.w, h: item.sourceSize.h },
+                trimmed: trim.w !== item.sourceSize.w || trim.h !== item.sourceSize.h
+            };
+        });
+
+        return { canvas, width, height, frames };
+    }
+
+    /**
+     * Draw a render pass into a copy of a packed page, using the color frames' rects
+     * so the pass page lines up with the color page pixel-for-pixel
+     * @param {Object} page - Page from pack()
+     * @param {string} pass - Key of CONFIG.RENDER_PASSES
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderPassPage(page, pass) {
+        const canvas = document.createElement('canvas');
+        canvas.width = page.width;
+        canvas.height = page.height;
+        const context = canvas.getContext('2d');
+
+        const images = await Promise.all(page.frames.map(frame =>
+            this.spriteSheetBuilder.loadImage(frame.sprite.passes[pass])
+        ));
+        page.frames.forEach((frame, index) => {
+            const source = frame.spriteSourceSize;
+            context.drawImage(images[index], source.x, source.y, source.w, source.h,
+                frame.frame.x, frame.frame.y, source.w, source.h);
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Trim rect shared by a sprite and its pass pages: the color image's content, widened by
+     * passes that can reach past the model (CONFIG.RENDER_PASSES[pass].EXTENDS_TRIM, e.g. the ground shadow)
+     * @param {Sprite} sprite
+     * @param {HTMLImageElement} image - Decoded color image
+     * @returns {Promise<Object>} {x, y, w, h}
+     */
+    async computeSpriteTrimRect(sprite, image) {
+        let trim = this.findContentRect(image);
+
+        for (const pass of Object.keys(sprite.passes || {})) {
+            if (!CONFIG.RENDER_PASSES[pass] || !CONFIG.RENDER_PASSES[pass].EXTENDS_TRIM) continue;
+
+            const passImage = await this.spriteSheetBuilder.loadImage(sprite.passes[pass]);
+            trim = this.unionTrimRects(trim, this.findContentRect(passImage));
+        }
+
+        return trim || { x: 0, y: 0, w: 1, h: 1 };
+    }
+
+    // Bounding rect of two content rects; null stands for an empty image
+    unionTrimRects(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return {
+            x,
+            y,
+            w: Math.max(a.x + a.w, b.x + b.w) - x,
+            h: Math.max(a.y + a.h, b.y + b.h) - y
+        };
+    }
+
+    /**
+     * Find the bounding rect of non-transparent pixels
+     * Fully transparent images collapse to a 1x1 rect at the origin
+     * @param {HTMLImageElement} image
+     * @returns {Object} {x, y, w, h}
+     */
+    computeTrimRect(image) {
+        return this.findContentRect(image) || { x: 0, y: 0, w: 1, h: 1 };
+    }
+
+    /**
+     * Bounding rect of non-transparent pixels
+     * @param {HTMLImageElement} image
+     * @returns {Object|null} {x, y, w, h}, null for a fully transparent image
+     */
+    findContentRect(image) {
+        const { data, width, height } = this.spriteSheetBuilder.getImageData(image);
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > CONFIG.EXPORT.TRIM_ALPHA_THRESHOLD) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        if (maxX < 0) {
+            return null;
+        }
+
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+
+    /**
+     * Build TexturePacker "JSON Hash" metadata for one page
+     * @param {Object} page - Page from pack()
+     * @param {string} imageFileName - Page image file name
+     * @param {string[]} relatedPages - Metadata file names of the other pages
+     * @param {Function} getPivot - Optional (sprite, w, h) => normalized pivot, origin bottom-left
+     * @returns {Object}
+     */
+    buildJsonHash(page, imageFileName, relatedPages = [], getPivot = null) {
+        const frames = {};
+        page.frames.forEach(frame => {
+            frames[frame.sprite.fileName] = this.buildFrameEntry(frame, getPivot);
+        });
+
+        return { frames, meta: this.buildMeta(page, imageFileName, relatedPages) };
+    }
+
+    /**
+     * Build TexturePacker "JSON Array" metadata for one page
+     * @param {Object} page - Page from pack()
+     * @param {string} imageFileName - Page image file name
+     * @param {string[]} relatedPages - Metadata file names of the other pages
+     * @param {Function} getPivot - Optional (sprite, w, h) => normalized pivot, origin bottom-left
+     * @returns {Object}
+     */
+    buildJsonArray(page, imageFileName, relatedPages = [], getPivot = null) {
+        return {
+            frames: page.frames.map(frame => ({
+                filename: frame.sprite.fileName,
+                ...this.buildFrameEntry(frame, getPivot)
+            })),
+            meta: this.buildMeta(page, imageFileName, relatedPages)
+        };
+    }
+
+    buildFrameEntry(frame, getPivot = null) {
+        const entry = {
+            frame: frame.frame,
+            rotated: false,
+            trimmed: frame.trimmed,
+            spriteSourceSize: frame.spriteSourceSize,
+            sourceSize: frame.sourceSize
+        };
+
+        // TexturePacker pivots are relative to the untrimmed source size, origin top-left
+        if (getPivot) {
+            const pivot = getPivot(frame.sprite, frame.sourceSize.w, frame.sourceSize.h);
+            entry.pivot = { x: pivot.x, y: Math.round((1 - pivot.y) * 10000) / 10000 };
+        }
+
+        return entry;
+    }
+
+    buildMeta(page, imageFileName, relatedPages) {
+        const meta = {
+            app: CONFIG.EXPORT.APP_NAME,
+            version: '1.0',
+            image: imageFileName,
+            format: 'RGBA8888',
+            size: { w: page.width, h: page.height },
+            scale: '1'
+        };
+
+        if (relatedPages.length > 0) {
+            meta.related_multi_packs = relatedPages;
+        }
+
+        return meta;
+    }
+
+    nextPowerOfTwo(value) {
+        let size = 1;
+        while (size < value) {
+            size *= 2;
+        }
+        return size;
+    }
+}
+
+// MaxRectsBin - Free-rectangle bin using the Best Short Side Fit heuristic
+class MaxRectsBin {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.freeRects = [{ x: 0, y: 0, w: width, h: height }];
+    }
+
+    /**
+     * Place a rect in the bin
+     * @param {number} w - Rect width
+     * @param {number} h - Rect height
+     * @returns {Object|null} {x, y, w, h} or null if it does not fit
+     */
+    insert(w, h) {
+        let best = null;
+        let bestShortSide = Infinity;
+        let bestLongSide = Infinity;
+
+        this.freeRects.forEach(free => {
+            if (w > free.w || h > free.h) return;
+
+            const leftoverX = free.w - w;
+            const leftoverY = free.h - h;
+            const shortSide = Math.min(leftoverX, leftoverY);
+            const longSide = Math.max(leftoverX, leftoverY);
+
+            if (shortSide < bestShortSide || (shortSide === bestShortSide && longSide < bestLongSide)) {
+                best = { x: free.x, y: free.y, w, h };
+                bestShortSide = shortSide;
+                bestLongSide = longSide;
+            }
+        });
+
+        if (!best) {
+            return null;
+        }
+
+        this.splitFreeRects(best);
+        this.pruneFreeRects();
+        return best;
+    }
+
+    splitFreeRects(used) {
+        const result = [];
+
+        this.freeRects.forEach(free => {
+            const intersects = used.x < free.x + free.w && used.x + used.w > free.x &&
+                used.y < free.y + free.h && used.y + used.h > free.y;
+
+            if (!intersects) {
+                result.push(free);
+                return;
+            }
+
+            // Left, right, top and bottom leftovers of the free rect
+            if (used.x > free.x) {
+                result.push({ x: free.x, y: free.y, w: used.x - free.x, h: free.h });
+            }
+            if (used.x + used.w < free.x + free.w) {
+                result.push({ x: used.x + used.w, y: free.y, w: free.x + free.w - used.x - used.w, h: free.h });
+            }
+            if (used.y > free.y) {
+                result.push({ x: free.x, y: free.y, w: free.w, h: used.y - free.y });
+            }
+            if (used.y + used.h < free.y + free.h) {
+                result.push({ x: free.x, y: used.y + used.h, w: free.w, h: free.y + free.h - used.y - used.h });
+            }
+        });
+
+        this.freeRects = result;
+    }
+
+    pruneFreeRects() {
+        for (let i = 0; i < this.freeRects.length; i++) {
+            for (let j = i + 1; j < this.freeRects.length; j++) {
+                if (this.contains(this.freeRects[j], this.freeRects[i])) {
+                    this.freeRects.splice(i, 1);
+                    i--;
+                    break;
+                }
+                if (this.contains(this.freeRects[i], this.freeRects[j])) {
+                    this.freeRects.splice(j, 1);
+                    j--;
+                }
+            }
+        }
+    }
+
+    contains(outer, inner) {
+        return inner.x >= outer.x && inner.y >= outer.y &&
+            inner.x + inner.w <= outer.x + outer.w &&
+            inner.y + inner.h <= outer.y + outer.h;
+    }
+}
@@ -0,0 +1,117 @@
+// Auto Framing - Fits the capture camera to the model's whole motion so no frame or direction clips
+class AutoFraming {
+    constructor(threeSetup, animationController) {
+        this.threeSetup = threeSetup;
+        this.animationController = animationController;
+    }
+
+    /**
+     * Union of the model's bounds over a set of animation times
+     * Skinned meshes are measured from their posed vertices, since their geometry bounds only cover the bind pose
+     * @param {number[]} times - Animation times to pose the model at; empty measures the current pose
+     * @returns {THREE.Box3}
+     */
+    measureMotionBounds(times) {
+        const model = this.threeSetup.getLoadedModel();
+        const bounds = new THREE.Box3();
+        const poses = times.length > 0 ? times : [null];
+
+        poses.forEach(time => {
+            if (time !== null) {
+                this.animationController.setAnimationTime(time);
+            }
+            model.updateMatrixWorld(true);
+            this.expandByPose(bounds, model);
+        });
+
+        return bounds;
+    }
+
+    expandByPose(bounds, model) {
+        const vertex = new THREE.Vector3();
+        const stride = CONFIG.FRAMING.VERTEX_STRIDE;
+
+        model.traverse((child) => {
+            if (!child.visible || !child.isMesh || !child.geometry) return;
+
+            if (child.isSkinnedMesh && child.geometry.attributes.position) {
+                const count = child.geometry.attributes.position.count;
+                for (let index = 0; index < count; index += stride) {
+                    child.boneTransform(index, vertex);
+                    bounds.expandByPoint(vertex.applyMatrix4(child.matrixWorld));
+                }
+            } else {
+                bounds.union(new THREE.Box3().setFromObject(child));
+            }
+        });
+    }
+
+    /**
+     * Smallest perspective camera distance that keeps the bounds inside every view
+     * @param {THREE.Box3} bounds - Motion bounds
+     * @param {Array<{angle, pitch}>} views - Camera yaw and pitch of every capture, looking at the origin
+     * @param {number} fov - Vertical field of view in degrees (the sprite is square)
+     * @param {number} margin - Share of the sprite size kept free on each side
+     * @returns {number}
+     */
+    fitDistance(bounds, views, fov, margin) {
+        const reach = Math.tan(fov * Math.PI / 360) * (1 - 2 * margin);
+        let distance = 0;
+
+        this.forEachProjectedCorner(bounds, views, ({ x, y, depth }) => {
+            // The corner projects inside the frame once (distance - depth) * reach >= |x| and |y|
+            distance = Math.max(
+                distance,
+                depth + Math.max(Math.abs(x), Math.abs(y)) / reach,
+                depth + CONFIG.CAMERA.NEAR * 2
+            );
+        });
+
+        return distance;
+    }
+
+    /**
+     * Smallest orthographic frustum height that keeps the bounds inside every view
+     * @param {THREE.Box3} bounds - Motion bounds
+     * @param {Array<{angle, pitch}>} views - Camera yaw and pitch of every capture, looking at the origin
+     * @param {number} margin - Share of the sprite size kept free on each side
+     * @returns {number}
+     */
+    fitFrustumHeight(bounds, views, margin) {
+        let halfSize = 0;
+
+        this.forEachProjectedCorner(bounds, views, ({ x, y }) => {
+            halfSize = Math.max(halfSize, Math.abs(x), Math.abs(y));
+        });
+
+        return Math.max(CONFIG.CAMERA.MIN_ORTHO_HEIGHT, 2 * halfSize / (1 - 2 * margin));
+    }
+
+    // Box corners in each view's camera axes: x right, y up, depth towards the camera
+    forEachProjectedCorner(bounds, views, callback) {
+        const corners = [];
+        [bounds.min.x, bounds.max.x].forEach(x => {
+            [bounds.min.y, bounds.max.y].forEach(y => {
+                [bounds.min.z, bounds.max.z].forEach(z => corners.push(new THREE.Vector3(x, y, z)));
+            });
+        });
+
+        const worldUp = new THREE.Vector3(0, 1, 0);
+        views.forEach(({ angle, pitch }) => {
+            // Same basis Object3D.lookAt() gives a camera at this yaw and pitch looking at the origin
+            const back = new THREE.Vector3(
+                Math.sin(angle) * Math.cos(pitch),
+                Math.sin(pitch),
+                Math.cos(angle) * Math.cos(pitch)
+            );
+            const right = new THREE.Vector3().crossVectors(worldUp, back).normalize();
+            const up = new THREE.Vector3().crossVectors(back, right);
+
+            corners.forEach(corner => callback({
+                x: corner.dot(right),
+                y: corner.dot(up),
+                depth: corner.dot(back)
+            }));
+        });
+    }
+}
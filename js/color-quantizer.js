@@ -0,0 +1,123 @@
+// Color Quantizer - Median-cut palette extraction in 15-bit color space
+class ColorQuantizer {
+    constructor() {
+        this.histogram = new Uint32Array(32768);
+    }
+
+    /**
+     * Count the colors of an image; pixels below the alpha threshold are ignored
+     * @param {Uint8ClampedArray} rgba - Pixel data
+     * @param {number} alphaThreshold - Minimum alpha of a counted pixel
+     */
+    addPixels(rgba, alphaThreshold) {
+        for (let i = 0; i < rgba.length; i += 4) {
+            if (rgba[i + 3] >= alphaThreshold) {
+                this.histogram[ColorQuantizer.toColorKey(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+            }
+        }
+    }
+
+    /**
+     * Median-cut the counted colors into at most maxColors boxes
+     * @param {number} maxColors
+     * @returns {Object} {colors: Array<[r, g, b]>, keys: number[] (15-bit colors present)}
+     */
+    medianCut(maxColors) {
+        const histogram = this.histogram;
+        const keys = [];
+        for (let key = 0; key < histogram.length; key++) {
+            if (histogram[key] > 0) keys.push(key);
+        }
+
+        const boxes = keys.length > 0 ? [this.createBox(keys)] : [];
+        while (boxes.length < maxColors) {
+            // Split the most populated box that still spans more than one color
+            let target = -1;
+            boxes.forEach((box, index) => {
+                if (box.keys.length > 1 && (target < 0 || box.count > boxes[target].count)) {
+                    target = index;
+                }
+            });
+            if (target < 0) break;
+
+            const [low, high] = this.splitBox(boxes[target]);
+            boxes.splice(target, 1, low, high);
+        }
+
+        return { colors: boxes.map(box => this.averageColor(box)), keys };
+    }
+
+    createBox(keys) {
+        let count = 0;
+        keys.forEach(key => { count += this.histogram[key]; });
+        return { keys, count };
+    }
+
+    splitBox(box) {
+        // Split along the channel with the widest range, at the population median
+        const ranges = [10, 5, 0].map(shift => {
+            let min = 31, max = 0;
+            box.keys.forEach(key => {
+                const value = (key >> shift) & 31;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            });
+            return { shift, range: max - min };
+        });
+        const { shift } = ranges.reduce((a, b) => (b.range > a.range ? b : a));
+
+        const sorted = [...box.keys].sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+        let accumulated = 0;
+        let splitIndex = 1;
+        for (let i = 0; i < sorted.length - 1; i++) {
+            accumulated += this.histogram[sorted[i]];
+            splitIndex = i + 1;
+            if (accumulated >= box.count / 2) break;
+        }
+
+        return [
+            this.createBox(sorted.slice(0, splitIndex)),
+            this.createBox(sorted.slice(splitIndex))
+        ];
+    }
+
+    averageColor(box) {
+        let r = 0, g = 0, b = 0;
+        box.keys.forEach(key => {
+            const weight = this.histogram[key];
+            const [kr, kg, kb] = ColorQuantizer.fromColorKey(key);
+            r += kr * weight;
+            g += kg * weight;
+            b += kb * weight;
+        });
+        return [Math.round(r / box.count), Math.round(g / box.count), Math.round(b / box.count)];
+    }
+
+    /**
+     * Index of the closest palette color (squared RGB distance)
+     * @param {Array<[r, g, b]>} colors
+     * @returns {number}
+     */
+    static findNearest(colors, r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < colors.length; i++) {
+            const dr = colors[i][0] - r, dg = colors[i][1] - g, db = colors[i][2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    static toColorKey(r, g, b) {
+        return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    }
+
+    // Center of the 15-bit color bin
+    static fromColorKey(key) {
+        return [((key >> 10) & 31) << 3 | 4, ((key >> 5) & 31) << 3 | 4, (key & 31) << 3 | 4];
+    }
+}
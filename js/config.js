@@ -9,14 +9,119 @@ const CONFIG = {
         MIN_DISTANCE: 1,
         MAX_DISTANCE: 20,
         MIN_HEIGHT: 0,
-        MAX_HEIGHT: 5
+        MAX_HEIGHT: 5,
+        // Capture projection; orthographic keeps one scale for every direction and frame
+        PROJECTIONS: ['perspective', 'orthographic'],
+        DEFAULT_PROJECTION: 'perspective',
+        ORTHO_SIZE_MODES: ['world', 'ppu'],  // Frustum given as visible height (world units) or pixels per unit
+        DEFAULT_ORTHO_SIZE_MODE: 'world',
+        DEFAULT_ORTHO_HEIGHT: 3,
+        MIN_ORTHO_HEIGHT: 0.01,
+        DEFAULT_ORTHO_PIXELS_PER_UNIT: 100,
+        MAX_ELEVATIONS: 8,        // Elevation rings per generation run
+        MAX_ELEVATION_DEGREES: 89 // Pitch limit either side of the horizon
+    },
+
+    // Standard game views; pitches are exact so sprites from different sessions share one tile grid
+    CAMERA_PRESETS: {
+        isometric: { PITCH: Math.atan(1 / Math.SQRT2), PROJECTION: 'orthographic' }, // True isometric: 35.264°, tile edges at 30°
+        dimetric: { PITCH: Math.PI / 6, PROJECTION: 'orthographic' },               // 2:1 pixel dimetric: tile edges at atan(1/2) = 26.565°
+        topdown: { PITCH: Math.PI / 4, PROJECTION: 'orthographic' },                // 3/4 top-down RPG
+        side: { PITCH: 0, PROJECTION: 'orthographic' }                              // Side-view platformer
     },
 
     SPRITE: {
         DEFAULT_SIZE: 512,
         MIN_SIZE: 64,
         MAX_SIZE: 2048,
-        STEP_SIZE: 64
+        STEP_SIZE: 64,
+        ANCHOR_BONE: 'Hips' // Bone projected for per-frame root/ground anchors
+    },
+
+    FRAMING: {
+        DEFAULT_MARGIN: 0.05,      // Share of the sprite size kept free on each side of the motion
+        MAX_MARGIN: 0.4,
+        SAMPLES: 32,               // Animation times measured in addition to the captured frames
+        VERTEX_STRIDE: 4           // Every Nth skinned vertex is measured
+    },
+
+    INSPECTION: {
+        ALPHA_THRESHOLD: 8         // Pixels at least this opaque count as content when checking for clipping
+    },
+
+    SUPERSAMPLING: {
+        DEFAULT_FACTOR: 1,         // Capture render size relative to the sprite size (1 = off)
+        FACTORS: [1, 2, 4],
+        DEFAULT_FILTER: 'box',     // Downsampling filter: 'box' or 'lanczos'
+        FILTERS: ['box', 'lanczos'],
+        LANCZOS_RADIUS: 3,         // Lobes of the Lanczos kernel
+        MAX_RENDER_SIZE: 4096      // The factor is lowered until the render fits
+    },
+
+    SHADOW: {
+        DEFAULT_MODE: 'none',      // 'none', 'baked' into the color sprite, or a separate 'layer' (_s.png)
+        MODES: ['none', 'baked', 'layer'],
+        DEFAULT_OPACITY: 0.5,
+        // Light direction relative to the sprite camera (x right, y up, z towards the camera),
+        // so the shadow falls the same way on screen for every direction
+        LIGHT_DIRECTION: { x: -0.5, y: 1, z: 0.35 },
+        MAP_SIZE: 2048,
+        SOFTNESS: 4,               // PCF blur radius of the shadow map
+        CATCHER_SIZE: 10           // Ground plane size as a multiple of the model radius
+    },
+
+    RENDER_STYLE: {
+        DEFAULT_STYLE: 'standard',     // 'standard' keeps the loaded materials, 'toon' swaps in MeshToonMaterial
+        DEFAULT_TOON_STEPS: 3,         // Shading bands of the toon gradient
+        MIN_TOON_STEPS: 2,
+        MAX_TOON_STEPS: 8,
+        DEFAULT_OUTLINE_WIDTH: 2,      // Inverted-hull outline thickness (output px)
+        MIN_OUTLINE_WIDTH: 0.5,
+        MAX_OUTLINE_WIDTH: 16,
+        DEFAULT_OUTLINE_COLOR: '#000000'
+    },
+
+    PIXEL_ART: {
+        DEFAULT_RESOLUTION: 48,    // Internal render size (px) before the nearest-neighbor upscale
+        MIN_RESOLUTION: 8,
+        MAX_RESOLUTION: 256,
+        ALPHA_THRESHOLD: 128,      // Lower alpha becomes transparent, higher fully opaque
+        DEFAULT_PALETTE_SIZE: 16,  // Colors of an auto-extracted palette
+        MIN_PALETTE_SIZE: 2,
+        MAX_PALETTE_SIZE: 256,
+        DITHER_SPREAD: 32,         // Max color offset (0-255 scale) of ordered dithering
+        BAYER_MATRIX: [
+            [0, 8, 2, 10],
+            [12, 4, 14, 6],
+            [3, 11, 1, 9],
+            [15, 7, 13, 5]
+        ]
+    },
+
+    // Extra images rendered for every sprite with the same camera; SUFFIX is appended to the file name
+    RENDER_PASSES: {
+        // RESAMPLE: how multi-resolution exports shrink the pass - 'area' averages,
+        // 'normal' averages then renormalizes, 'nearest' keeps exact source values
+        normal: {
+            SUFFIX: '_n',          // View-space normals encoded as rgb = normal * 0.5 + 0.5
+            RESAMPLE: 'normal'
+        },
+        depth: {
+            SUFFIX: '_d',          // Linear view-space depth, black = near, white = far
+            RANGE_MARGIN: 1.25,    // Bounding radius multiplier so animated limbs stay inside the range
+            RESAMPLE: 'nearest'    // Averaged depths would float between foreground and background
+        },
+        shadow: {
+            SUFFIX: '_s',          // Ground shadow alone (black, alpha = shadow strength)
+            EXTENDS_TRIM: true,    // Reaches past the model, so atlas trimming keeps its pixels too
+            RESAMPLE: 'area'
+        },
+        mask: {
+            SUFFIX: '_m',          // Tagged parts in their channel color, everything else black
+            CHANNELS: { r: 0xff0000, g: 0x00ff00, b: 0x0000ff },
+            UNTAGGED_COLOR: 0x000000,
+            RESAMPLE: 'nearest'    // Blended channel colors would tag no part or several
+        }
     },
 
     LIGHTING: {
@@ -39,35 +144,25 @@ const CONFIG = {
         SUPPORTED_FORMATS: ['glb', 'gltf', 'fbx', 'stl', 'obj']
     },
 
-    DIRECTIONS_8: [
-        { name: 'South', angle: 0 },
-        { name: 'South-East', angle: Math.PI / 4 },
-        { name: 'East', angle: Math.PI / 2 },
-        { name: 'North-East', angle: 3 * Math.PI / 4 },
-        { name: 'North', angle: Math.PI },
-        { name: 'North-West', angle: 5 * Math.PI / 4 },
-        { name: 'West', angle: 3 * Math.PI / 2 },
-        { name: 'South-West', angle: 7 * Math.PI / 4 }
-    ],
+    // Direction rings: names start at South (angle 0) in order of increasing angle, spaced evenly
+    DIRECTION_SETS: {
+        4: ['South', 'East', 'North', 'West'],
+        6: ['S', 'SE', 'NE', 'N', 'NW', 'SW'], // Hex maps (flat-top neighbors)
+        8: ['South', 'South-East', 'East', 'North-East', 'North', 'North-West', 'West', 'South-West'],
+        16: ['S', 'SSE', 'SE', 'ESE', 'E', 'ENE', 'NE', 'NNE', 'N', 'NNW', 'NW', 'WNW', 'W', 'WSW', 'SW', 'SSW'],
+        32: [
+            'S', 'SbE', 'SSE', 'SEbS', 'SE', 'SEbE', 'ESE', 'EbS',
+            'E', 'EbN', 'ENE', 'NEbE', 'NE', 'NEbN', 'NNE', 'NbE',
+            'N', 'NbW', 'NNW', 'NWbN', 'NW', 'NWbW', 'WNW', 'WbN',
+            'W', 'WbS', 'WSW', 'SWbW', 'SW', 'SWbS', 'SSW', 'SbW'
+        ]
+    },
 
-    DIRECTIONS_16: [
-        { name: 'S', angle: 0 },
-        { name: 'SSE', angle: Math.PI / 8 },
-        { name: 'SE', angle: Math.PI / 4 },
-        { name: 'ESE', angle: 3 * Math.PI / 8 },
-        { name: 'E', angle: Math.PI / 2 },
-        { name: 'ENE', angle: 5 * Math.PI / 8 },
-        { name: 'NE', angle: 3 * Math.PI / 4 },
-        { name: 'NNE', angle: 7 * Math.PI / 8 },
-        { name: 'N', angle: Math.PI },
-        { name: 'NNW', angle: 9 * Math.PI / 8 },
-        { name: 'NW', angle: 5 * Math.PI / 4 },
-        { name: 'WNW', angle: 11 * Math.PI / 8 },
-        { name: 'W', angle: 3 * Math.PI / 2 },
-        { name: 'WSW', angle: 13 * Math.PI / 8 },
-        { name: 'SW', angle: 7 * Math.PI / 4 },
-        { name: 'SSW', angle: 15 * Math.PI / 8 }
-    ],
+    DIRECTIONS: {
+        DEFAULT_SET: '8',
+        ORDERS: ['ccw', 'cw'],      // Counter-clockwise (S -> SE -> E) or clockwise (S -> SW -> W) seen from above
+        DEFAULT_ORDER: 'ccw'
+    },
 
     PROGRESS: {
         READ_FILE_START: 0,
@@ -82,9 +177,51 @@ const CONFIG = {
     },
 
     ZIP: {
-        FILE_NAME: 'sprites_8_directional.zip',
-        COMPRESSION_LEVEL: 6,
-        FOLDER_NAME: 'sprites'
+        COMPRESSION_LEVEL: 6
+    },
+
+    NAMING: {
+        // Tokens: {model} {animation} {dir} {dirIndex} {frame} {elev} {size}; {frame:03} zero-pads, '/' makes subfolders
+        // Multi-elevation runs append _e{elev} when the template has no {elev}
+        SPRITE_TEMPLATE: '{dirIndex}_{frame}_{dir}',
+        FOLDER_TEMPLATE: 'sprites',
+        // Sheet, atlas and Godot resource base name ({model} {animation} {size} only); blank keeps each format's own name
+        OUTPUT_TEMPLATE: '',
+        PREVIEW_FOLDER_TEMPLATE: 'previews',
+        ARCHIVE_TEMPLATE: 'sprites_8_directional'
+    },
+
+    EXPORT: {
+        FORMATS: ['png', 'sheet', 'atlas-hash', 'atlas-array', 'phaser', 'godot', 'unity', 'aseprite', 'preview'], // Loose PNGs, sheets and engine exports
+        DEFAULT_FORMAT: 'png',
+        SHEET_NAME: 'sprite_sheet',
+        ATLAS_NAME: 'atlas',
+        ATLAS_MAX_SIZE: 4096,      // Max atlas page size (px); overflow goes to another page
+        MAX_CANVAS_SIZE: 16384,    // Largest sheet side (px); desktop browsers stop at 16384-32767
+        MAX_CANVAS_AREA: 16777216, // Largest sheet area (px²); iOS Safari caps canvases at 4096x4096 worth
+        ATLAS_PADDING: 2,          // Transparent gap between packed frames (px)
+        TRIM_ALPHA_THRESHOLD: 0,   // Pixels with alpha above this count as opaque when trimming
+        APP_NAME: '3D Sprite Generator',
+        MANIFEST_FILE_NAME: 'manifest.json',
+        PHASER_TEXTURE_KEY: 'sprites',
+        GODOT_RESOURCE_NAME: 'sprite_frames',
+        UNITY_FIRST_INTERNAL_ID: 21300000, // Unity's legacy Sprite file ID range
+        GIF_ALPHA_THRESHOLD: 128,  // GIF has 1-bit transparency; lower alpha becomes transparent
+        DEFAULT_PIXELS_PER_UNIT: 100,
+        DEFAULT_PIVOT: 'center',
+        // Normalized pivots, origin at the bottom-left of the sprite
+        PIVOTS: {
+            center: { x: 0.5, y: 0.5 },
+            bottom: { x: 0.5, y: 0 }
+        },
+        ANCHOR_PIVOTS: ['ground', 'root'], // Per-frame pivots taken from Sprite.anchors
+        DEFAULT_FPS: 12,           // Playback rate written into animation metadata
+        MIN_FPS: 1,
+        MAX_FPS: 60,
+        // Output scales, e.g. [2, 1, 0.5]; the largest is the rendered sprite size,
+        // smaller ones are area-filtered down from it into '@<scale>x' folders
+        DEFAULT_RESOLUTION_SCALES: [1],
+        MAX_RESOLUTION_SCALES: 4
     },
 
     PROCEDURAL_ANIMATIONS: [
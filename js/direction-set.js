@@ -0,0 +1,86 @@
+// Direction Set - Builds the ring of capture directions from a named scheme or a custom angle list
+class DirectionSet {
+    /**
+     * Build the directions to render
+     * @param {Object} settings - {scheme: key of CONFIG.DIRECTION_SETS or 'custom', custom: text,
+     *   offsetDegrees, order: 'ccw'|'cw'}
+     * @returns {Array<{name, angle}>} Angles in radians within [0, 2π)
+     */
+    build(settings) {
+        const offset = settings.offsetDegrees * Math.PI / 180;
+
+        // Custom lists keep the order they were written in
+        if (settings.scheme === 'custom') {
+            const directions = DirectionSet.parseCustom(settings.custom);
+            if (!directions) {
+                throw new Error('Custom direction list is empty. Use entries like "front: 0, left: 90"');
+            }
+            return directions.map(direction => ({
+                name: direction.name,
+                angle: DirectionSet.normalizeAngle(direction.angle + offset)
+            }));
+        }
+
+        const names = CONFIG.DIRECTION_SETS[settings.scheme];
+        if (!names) {
+            throw new Error(`Unknown direction set: ${settings.scheme}`);
+        }
+
+        // Increasing angles turn counter-clockwise seen from above (S -> SE -> E);
+        // clockwise walks the same ring the other way from the same start (S -> SW -> W)
+        const step = 2 * Math.PI / names.length;
+        const ring = names.map((name, index) => ({ name, angle: index * step }));
+        const ordered = settings.order === 'cw' ? [ring[0], ...ring.slice(1).reverse()] : ring;
+
+        return ordered.map(direction => ({
+            name: direction.name,
+            angle: DirectionSet.normalizeAngle(direction.angle + offset)
+        }));
+    }
+
+    /**
+     * Pair directions with their left-right mirror for symmetric models: the view from angle a
+     * is the horizontally flipped view from -a. Directions on the 0..π half are rendered,
+     * the others reuse a rendered direction when the set has one at the mirrored angle
+     * @param {Array<{name, angle}>} directions
+     * @returns {Array<number|null>} Index of the direction each one mirrors, or null when it is rendered
+     */
+    findMirrors(directions) {
+        const epsilon = 1e-6;
+        const isRendered = direction => direction.angle <= Math.PI + epsilon;
+
+        return directions.map(direction => {
+            if (isRendered(direction)) return null;
+
+            const mirrorAngle = DirectionSet.normalizeAngle(-direction.angle);
+            const source = directions.findIndex(candidate => {
+                const difference = Math.abs(candidate.angle - mirrorAngle);
+                return isRendered(candidate) && Math.min(difference, 2 * Math.PI - difference) < epsilon;
+            });
+            return source >= 0 ? source : null;
+        });
+    }
+
+    /**
+     * Parse named angles in degrees, separated by commas or new lines
+     * @param {string} text - e.g. 'front: 0, left: 90, back: 180, right: 270'
+     * @returns {Array<{name, angle}>|null} Angles in radians; null when the text holds no entries
+     */
+    static parseCustom(text) {
+        const directions = [];
+        const pattern = /([^:,\n]+):\s*(-?\d+(?:\.\d+)?)/g;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            const name = match[1].trim();
+            if (name) {
+                directions.push({ name, angle: parseFloat(match[2]) * Math.PI / 180 });
+            }
+        }
+        return directions.length > 0 ? directions : null;
+    }
+
+    static normalizeAngle(angle) {
+        const fullTurn = 2 * Math.PI;
+        return ((angle % fullTurn) + fullTurn) % fullTurn;
+    }
+}
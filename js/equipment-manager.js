@@ -645,6 +645,45 @@ class EquipmentManager {
         return this.equippedItems.get(slot);
     }
 
+    /**
+     * Find which equipped slot an object belongs to
+     * @param {THREE.Object3D} object - An equipment object or one of its descendants
+     * @returns {string|null} Slot identifier
+     */
+    getSlotForObject(object) {
+        for (const [slot, item] of this.equippedItems.entries()) {
+            let current = object;
+            while (current) {
+                if (current === item.object) {
+                    return slot;
+                }
+                current = current.parent;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Describe equipped items (file, bone and offsets) for export metadata
+     * @returns {Array} [{slot, fileName, bone, offsets: {position, rotation, scale}}]
+     */
+    getEquippedSummary() {
+        return Array.from(this.equippedItems.entries()).map(([slot, item]) => {
+            const inventoryItem = this.getInventoryItem(slot);
+            const offsets = item.offsets || {};
+            return {
+                slot,
+                fileName: inventoryItem ? inventoryItem.fileName : null,
+                bone: item.boneName,
+                offsets: {
+                    position: { ...(offsets.position || { x: 0, y: 0, z: 0 }) },
+                    rotation: { ...(offsets.rotation || { x: 0, y: 0, z: 0 }) },
+                    scale: offsets.scale !== undefined ? offsets.scale : 1.0
+                }
+            };
+        });
+    }
+
     /**
      * Update equipment position offset
      * @param {string} slot - Equipment slot
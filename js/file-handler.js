@@ -2,6 +2,13 @@
 class FileHandler {
     constructor(uiController) {
         this.uiController = uiController;
+        this.spriteSheetBuilder = new SpriteSheetBuilder();
+        this.atlasPacker = new AtlasPacker(this.spriteSheetBuilder);
+        this.phaserExporter = new PhaserExporter();
+        this.godotExporter = new GodotExporter();
+        this.unityExporter = new UnityExporter();
+        this.asepriteExporter = new AsepriteExporter();
+        this.imageResampler = new ImageResampler(this.spriteSheetBuilder);
     }
 
     readFile(file) {
@@ -39,7 +46,7 @@ class FileHandler {
         });
     }
 
-    async createZipArchive(sprites) {
+    async createZipArchive(sprites, format = CONFIG.EXPORT.DEFAULT_FORMAT, options = {}) {
         if (!sprites || sprites.length === 0) {
             throw new Error('No sprites to download');
         }
@@ -48,26 +55,23 @@ class FileHandler {
 
         try {
             const zip = new JSZip();
-            const folder = zip.folder(CONFIG.ZIP.FOLDER_NAME);
+            const naming = this.getNamingSettings(options);
+            const resolutions = this.getResolutions(options);
 
-            this.uiController.updateProgress(20, 'Adding sprites to archive...');
+            // Named copies, so one export's names never stick to the generated sprites
+            const named = this.nameSprites(sprites, naming);
 
-            // Add each sprite to the ZIP
-            sprites.forEach((sprite, index) => {
-                const base64Data = sprite.data.split(',')[1];
-
-                // Use Sprite class fileName method for consistent naming
-                const fileName = sprite.fileName || `${index}_fallback.png`;
-
-                folder.file(fileName, base64Data, { base64: true });
+            const variants = [];
+            if (resolutions.length === 1) {
+                await this.addFormatToZip(zip, named, format, options, naming);
+                variants.push({ resolution: resolutions[0], folder: null, sprites: named, naming });
+            } else {
+                for (const resolution of resolutions) {
+                    variants.push(await this.addResolutionToZip(zip, named, format, options, resolution));
+                }
+            }
 
-                const progress = 20 + ((index + 1) / sprites.length) * 40;
-                const displayName = sprite.displayName || sprite.name || 'sprite';
-                this.uiController.updateProgress(
-                    progress,
-                    `Adding ${displayName}... (${index + 1}/${sprites.length})`
-                );
-            });
+            this.addManifestToZip(zip, named, format, options, variants);
 
             this.uiController.updateProgress(70, 'Compressing archive...');
 
@@ -87,7 +91,10 @@ class FileHandler {
             this.uiController.updateProgress(95, 'Preparing download...');
 
             // Trigger download
-            this.downloadBlob(content, CONFIG.ZIP.FILE_NAME);
+            const archiveName = new FileNameTemplate(naming.archiveTemplate)
+                .format(FileNameTemplate.getContextValues(naming.context))
+                .replace(/\//g, '_');
+            this.downloadBlob(content, `${archiveName}.zip`);
 
             this.uiController.updateProgress(100, 'Download started!');
 
@@ -103,6 +110,511 @@ class FileHandler {
         }
     }
 
+    /**
+     * Write the sprites in the chosen export format
+     * @param {JSZip} zip - Archive root or a folder in it
+     * @param {Sprite[]} sprites - Result of nameSprites()
+     * @param {string} format - Export format
+     * @param {Object} options - Export options
+     * @param {Object} naming - Result of getNamingSettings()
+     */
+    async addFormatToZip(zip, sprites, format, options, naming) {
+        this.uiController.updateProgress(20, 'Adding sprites to archive...');
+
+        switch (format) {
+            case 'sheet':
+                await this.addSpriteSheetToZip(zip, sprites, options, naming);
+                break;
+            case 'atlas-hash':
+            case 'atlas-array':
+                await this.addPackedAtlasToZip(zip, sprites, format, options, naming);
+                break;
+            case 'phaser':
+                await this.addPhaserAtlasToZip(zip, sprites, {
+                    ...this.getAnimationSettings(options),
+                    getPivot: this.getPivotResolver(options)
+                }, naming);
+                break;
+            case 'godot':
+                await this.addGodotSpriteFramesToZip(zip, sprites, this.getAnimationSettings(options), naming);
+                break;
+            case 'unity':
+                await this.addUnitySpriteSheetToZip(zip, sprites, options, naming);
+                break;
+            case 'aseprite':
+                await this.addAsepriteSheetToZip(zip, sprites, options, naming);
+                break;
+            case 'preview':
+                await this.addAnimatedPreviewsToZip(zip, sprites, this.getAnimationSettings(options), naming);
+                break;
+            default:
+                this.addLooseSpritesToZip(zip, sprites, naming);
+        }
+    }
+
+    /**
+     * Downscale the rendered sprites for one resolution and export them into its own folder
+     * @param {JSZip} zip
+     * @param {Sprite[]} sprites - Result of nameSprites() at the rendered (largest) resolution
+     * @param {string} format - Export format
+     * @param {Object} options - Export options
+     * @param {Object} resolution - Entry of getResolutions()
+     * @returns {Promise<Object>} {resolution, folder, sprites, naming} as written to the archive
+     */
+    async addResolutionToZip(zip, sprites, format, options, resolution) {
+        this.uiController.updateProgress(10, `Resampling ${resolution.label} sprites...`);
+
+        const variantSprites = resolution.factor === 1
+            ? sprites
+            : await this.imageResampler.scaleSprites(sprites, resolution.factor, this.isPixelArtExport(options));
+        const variantOptions = { ...options, spriteSize: resolution.spriteSize };
+        const naming = this.getNamingSettings(variantOptions);
+
+        // {size} in the templates names the variant's own size
+        const named = this.nameSprites(variantSprites, naming);
+        await this.addFormatToZip(zip.folder(resolution.label), named, format, variantOptions, naming);
+        return { resolution, folder: resolution.label, sprites: named, naming };
+    }
+
+    // Pixel art runs (see the generation manifest) are scaled without blending to keep their palette
+    isPixelArtExport(options) {
+        return Boolean(options.manifest && options.manifest.pixelArt);
+    }
+
+    // Folder loose PNGs are written to, '' for the archive root
+    getSpriteFolder(naming) {
+        return this.formatExportPath(naming.folderTemplate, naming);
+    }
+
+    // Expand a template that names the whole export ({model} {animation} {size}); blank gives ''
+    formatExportPath(template, naming) {
+        return template
+            ? new FileNameTemplate(template).format(FileNameTemplate.getContextValues(naming.context))
+            : '';
+    }
+
+    /**
+     * Where a sheet, atlas or resource goes: the output template when set, else the format's own name
+     * A template with subfolders writes into them, so metadata can keep referring to bare file names
+     * @param {JSZip} zip
+     * @param {Object} naming - Result of getNamingSettings()
+     * @param {string} defaultName - Format's own base name, e.g. CONFIG.EXPORT.SHEET_NAME
+     * @returns {Object} {folder: JSZip, name: base name without extension}
+     */
+    getOutputTarget(zip, naming, defaultName) {
+        const path = this.formatExportPath(naming.outputTemplate, naming) || defaultName;
+        const slash = path.lastIndexOf('/');
+        return slash < 0
+            ? { folder: zip, name: path }
+            : { folder: zip.folder(path.slice(0, slash)), name: path.slice(slash + 1) };
+    }
+
+    addLooseSpritesToZip(zip, sprites, naming) {
+        const folderName = this.getSpriteFolder(naming);
+        const folder = folderName ? zip.folder(folderName) : zip;
+
+        const passes = this.getSpritePasses(sprites);
+
+        // Add each sprite to the ZIP
+        sprites.forEach((sprite, index) => {
+            const base64Data = sprite.data.split(',')[1];
+
+            // Use Sprite class fileName method for consistent naming
+            const fileName = sprite.fileName || `${index}_fallback.png`;
+
+            folder.file(fileName, base64Data, { base64: true });
+            passes.forEach(pass => {
+                folder.file(Sprite.toPassFileName(fileName, pass), sprite.passes[pass].split(',')[1], { base64: true });
+            });
+
+            const progress = 20 + ((index + 1) / sprites.length) * 40;
+            const displayName = sprite.displayName || sprite.name || 'sprite';
+            this.uiController.updateProgress(
+                progress,
+                `Adding ${displayName}... (${index + 1}/${sprites.length})`
+            );
+        });
+    }
+
+    async addSpriteSheetToZip(zip, sprites, options, naming) {
+        this.uiController.updateProgress(30, 'Composing sprite sheet...');
+
+        const { folder, name } = this.getOutputTarget(zip, naming, CONFIG.EXPORT.SHEET_NAME);
+        const sheet = await this.spriteSheetBuilder.buildGridSheet(sprites);
+        const imageFileName = `${name}.png`;
+        const metadata = this.spriteSheetBuilder.buildGridMetadata(sheet, imageFileName, this.getPivotResolver(options));
+
+        folder.file(imageFileName, this.spriteSheetBuilder.canvasToBase64(sheet.canvas), { base64: true });
+        folder.file(`${name}.json`, JSON.stringify(metadata, null, 2));
+        await this.addPassSheetsToZip(folder, sprites, imageFileName);
+
+        this.uiController.updateProgress(
+            60,
+            `Sprite sheet ${sheet.width}x${sheet.height} (${sheet.rows} directions x ${sheet.columns} frames)`
+        );
+    }
+
+    async addPackedAtlasToZip(zip, sprites, format, options, naming) {
+        this.uiController.updateProgress(30, 'Trimming and packing atlas...');
+
+        const { folder, name } = this.getOutputTarget(zip, naming, CONFIG.EXPORT.ATLAS_NAME);
+        const pages = await this.atlasPacker.pack(sprites);
+        const pageName = (index) => `${name}_${index}`;
+        const metadataNames = pages.map((page, index) => `${pageName(index)}.json`);
+
+        pages.forEach((page, index) => {
+            const imageFileName = `${pageName(index)}.png`;
+            const relatedPages = metadataNames.filter((name, i) => i !== index);
+            const getPivot = this.getPivotResolver(options);
+            const metadata = format === 'atlas-array'
+                ? this.atlasPacker.buildJsonArray(page, imageFileName, relatedPages, getPivot)
+                : this.atlasPacker.buildJsonHash(page, imageFileName, relatedPages, getPivot);
+
+            folder.file(imageFileName, this.spriteSheetBuilder.canvasToBase64(page.canvas), { base64: true });
+            folder.file(metadataNames[index], JSON.stringify(metadata, null, 2));
+        });
+        await this.addPassPagesToZip(folder, pages, pages.map((page, index) => `${pageName(index)}.png`));
+
+        const sizes = pages.map(page => `${page.width}x${page.height}`).join(', ');
+        this.uiController.updateProgress(60, `Packed ${sprites.length} sprites into ${pages.length} page(s): ${sizes}`);
+    }
+
+    async addPhaserAtlasToZip(zip, sprites, settings, naming) {
+        this.uiController.updateProgress(30, 'Packing Phaser multiatlas...');
+
+        const { folder, name } = this.getOutputTarget(zip, naming, CONFIG.EXPORT.ATLAS_NAME);
+        const pages = await this.atlasPacker.pack(sprites);
+        const imageFileNames = pages.map((page, index) => `${name}_${index}.png`);
+
+        pages.forEach((page, index) => {
+            folder.file(imageFileNames[index], this.spriteSheetBuilder.canvasToBase64(page.canvas), { base64: true });
+        });
+        await this.addPassPagesToZip(folder, pages, imageFileNames);
+
+        const multiatlas = this.phaserExporter.buildMultiatlas(pages, imageFileNames, settings.getPivot);
+        const animations = this.phaserExporter.buildAnimations(
+            sprites,
+            CONFIG.EXPORT.PHASER_TEXTURE_KEY,
+            settings.fps,
+            settings.loop
+        );
+
+        folder.file(`${name}.json`, JSON.stringify(multiatlas, null, 2));
+        folder.file(`${name}_anims.json`, JSON.stringify(animations, null, 2));
+
+        this.uiController.updateProgress(60, `Phaser atlas: ${pages.length} page(s), ${animations.anims.length} animations`);
+    }
+
+    async addGodotSpriteFramesToZip(zip, sprites, settings, naming) {
+        this.uiController.updateProgress(30, 'Packing Godot SpriteFrames...');
+
+        // An output template names both the pages and the resource
+        const { folder, name } = this.getOutputTarget(zip, naming, CONFIG.EXPORT.ATLAS_NAME);
+        const resourceName = naming.outputTemplate ? name : CONFIG.EXPORT.GODOT_RESOURCE_NAME;
+        const pages = await this.atlasPacker.pack(sprites);
+        const imageFileNames = pages.map((page, index) => `${name}_${index}.png`);
+
+        pages.forEach((page, index) => {
+            folder.file(imageFileNames[index], this.spriteSheetBuilder.canvasToBase64(page.canvas), { base64: true });
+        });
+        await this.addPassPagesToZip(folder, pages, imageFileNames);
+
+        const spriteFrames = this.godotExporter.buildSpriteFrames(pages, imageFileNames, settings);
+        folder.file(`${resourceName}.tres`, spriteFrames);
+
+        this.uiController.updateProgress(60, `Godot SpriteFrames: ${pages.length} atlas page(s)`);
+    }
+
+    async addUnitySpriteSheetToZip(zip, sprites, options, naming) {
+        this.uiController.updateProgress(30, 'Composing Unity sprite sheet...');
+
+        const { folder, name } = this.getOutputTarget(zip, naming, CONFIG.EXPORT.SHEET_NAME);
+        const sheet = await this.spriteSheetBuilder.buildGridSheet(sprites);
+        const imageFileName = `${name}.png`;
+        const meta = this.unityExporter.buildMeta(sheet, {
+            pixelsPerUnit: options.pixelsPerUnit || CONFIG.EXPORT.DEFAULT_PIXELS_PER_UNIT,
+            pivot: CONFIG.EXPORT.PIVOTS[options.pivot] || CONFIG.EXPORT.PIVOTS[CONFIG.EXPORT.DEFAULT_PIVOT],
+            getPivot: this.getPivotResolver(options)
+        });
+
+        folder.file(imageFileName, this.spriteSheetBuilder.canvasToBase64(sheet.canvas), { base64: true });
+        folder.file(`${imageFileName}.meta`, meta);
+        await this.addPassSheetsToZip(folder, sprites, imageFileName);
+
+        this.uiController.updateProgress(60, `Unity sprite sheet: ${sheet.frames.length} slices`);
+    }
+
+    async addAsepriteSheetToZip(zip, sprites, options, naming) {
+        this.uiController.updateProgress(30, 'Composing Aseprite sprite sheet...');
+
+        const { folder, name } = this.getOutputTarget(zip, naming, CONFIG.EXPORT.SHEET_NAME);
+        const sheet = await this.spriteSheetBuilder.buildGridSheet(sprites);
+        const imageFileName = `${name}.png`;
+        const sheetData = this.asepriteExporter.buildSheetData(sheet, imageFileName, {
+            ...this.getAnimationSettings(options),
+            getPivot: this.getPivotResolver(options)
+        });
+
+        folder.file(imageFileName, this.spriteSheetBuilder.canvasToBase64(sheet.canvas), { base64: true });
+        folder.file(`${name}.json`, JSON.stringify(sheetData, null, 2));
+        await this.addPassSheetsToZip(folder, sprites, imageFileName);
+
+        this.uiController.updateProgress(60, `Aseprite sheet: ${sheetData.meta.frameTags.length} frame tags`);
+    }
+
+    // Grid sheets of each render pass, laid out exactly like the color sheet
+    async addPassSheetsToZip(zip, sprites, imageFileName) {
+        for (const pass of this.getSpritePasses(sprites)) {
+            const passSheet = await this.spriteSheetBuilder.buildGridSheet(sprites, pass);
+            const base64Data = this.spriteSheetBuilder.canvasToBase64(passSheet.canvas);
+            zip.file(Sprite.toPassFileName(imageFileName, pass), base64Data, { base64: true });
+        }
+    }
+
+    // Atlas pages of each render pass, sharing the color pages' frame rects
+    async addPassPagesToZip(zip, pages, imageFileNames) {
+        const passes = this.getSpritePasses(pages[0].frames.map(frame => frame.sprite));
+        for (const pass of passes) {
+            for (let index = 0; index < pages.length; index++) {
+                const canvas = await this.atlasPacker.renderPassPage(pages[index], pass);
+                const base64Data = this.spriteSheetBuilder.canvasToBase64(canvas);
+                zip.file(Sprite.toPassFileName(imageFileNames[index], pass), base64Data, { base64: true });
+            }
+        }
+    }
+
+    // Render passes captured for every sprite (e.g. ['normal'])
+    getSpritePasses(sprites) {
+        return Object.keys(CONFIG.RENDER_PASSES).filter(pass =>
+            sprites.every(sprite => sprite.passes && sprite.passes[pass])
+        );
+    }
+
+    async addAnimatedPreviewsToZip(zip, sprites, settings, naming) {
+        const folderName = this.formatExportPath(naming.previewFolderTemplate, naming);
+        const folder = folderName ? zip.folder(folderName) : zip;
+
+        const directions = Sprite.groupByDirection(sprites);
+        for (let i = 0; i < directions.length; i++) {
+            const ordered = directions[i];
+            const first = ordered[0];
+
+            this.uiController.updateProgress(
+                20 + (i / directions.length) * 40,
+                `Encoding ${first.directionName} preview... (${i + 1}/${directions.length})`
+            );
+
+            const images = await Promise.all(ordered.map(sprite => this.spriteSheetBuilder.loadImage(sprite.data)));
+            const { width, height } = images[0];
+            const gifEncoder = new GifEncoder(width, height);
+            const apngEncoder = new ApngEncoder(width, height);
+
+            images.forEach(image => {
+                const pixels = this.spriteSheetBuilder.getImageData(image).data;
+                gifEncoder.addFrame(pixels, 1000 / settings.fps);
+                apngEncoder.addFrame(pixels, settings.fps);
+            });
+
+            const baseName = `${first.directionIndex}_${first.directionKey}`;
+            folder.file(`${baseName}.gif`, gifEncoder.encode(settings.loop));
+            folder.file(`${baseName}.png`, apngEncoder.encode(settings.loop));
+
+            // Let the progress bar repaint between directions
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    /**
+     * Write manifest.json: how the sprites were generated plus how this archive was exported
+     * Paths are relative to the archive root; per-sprite files are only listed for loose PNG exports,
+     * the other formats list their sheets, atlas pages and previews per resolution
+     * @param {JSZip} zip
+     * @param {Sprite[]} sprites - Result of nameSprites()
+     * @param {string} format - Export format
+     * @param {Object} options - Export options (options.manifest holds the generation manifest)
+     * @param {Array} variants - {resolution, folder, sprites, naming} per written resolution
+     */
+    addManifestToZip(zip, sprites, format, options, variants) {
+        const animationSettings = this.getAnimationSettings(options);
+        const loose = format === 'png';
+        const manifest = {
+            ...(options.manifest || {}),
+            export: {
+                format,
+                exportedAt: new Date().toISOString(),
+                fps: animationSettings.fps,
+                loop: animationSettings.loop,
+                fileNameTemplate: this.getNamingSettings(options).spriteTemplate,
+                resolutions: variants.map(({ resolution, folder }) => ({
+                    scale: resolution.scale,
+                    label: resolution.label,
+                    spriteSize: resolution.spriteSize,
+                    folder,
+                    files: this.listZipFiles(zip, folder)
+                }))
+            },
+            sprites: sprites.map((sprite, index) => ({
+                fileName: sprite.fileName,
+                direction: sprite.directionName,
+                directionIndex: sprite.directionIndex,
+                elevationIndex: sprite.elevationIndex,
+                frameIndex: sprite.frameIndex,
+                anchors: sprite.anchors || null,
+                mirrorOf: this.getMirrorSource(sprites, sprite),
+                passes: Object.keys(sprite.passes || {}),
+                files: loose ? variants.map(variant => this.describeSpriteFiles(variant, index)) : null
+            }))
+        };
+
+        zip.file(CONFIG.EXPORT.MANIFEST_FILE_NAME, JSON.stringify(manifest, null, 2));
+    }
+
+    // Archive paths of one sprite's loose PNG and pass images in a resolution, with the anchors scaled to it
+    describeSpriteFiles(variant, index) {
+        const sprite = variant.sprites[index];
+        const folder = [variant.folder, this.getSpriteFolder(variant.naming)].filter(Boolean).join('/');
+        const toPath = fileName => (folder ? `${folder}/${fileName}` : fileName);
+
+        const passes = {};
+        this.getSpritePasses(variant.sprites).forEach(pass => {
+            passes[pass] = toPath(Sprite.toPassFileName(sprite.fileName, pass));
+        });
+
+        return {
+            resolution: variant.resolution.label,
+            image: toPath(sprite.fileName),
+            passes,
+            anchors: sprite.anchors || null
+        };
+    }
+
+    // Paths of the files written so far below a folder ('' or null for the whole archive)
+    listZipFiles(zip, folder) {
+        const files = [];
+        (folder ? zip.folder(folder) : zip).forEach((path, file) => {
+            if (!file.dir) {
+                files.push(folder ? `${folder}/${path}` : path);
+            }
+        });
+        return files.sort();
+    }
+
+    /**
+     * File of the rendered sprite a mirrored sprite is a horizontal flip of
+     * @param {Sprite[]} sprites
+     * @param {Sprite} sprite
+     * @returns {Object|null} {directionIndex, fileName, flipX: true}, null for rendered sprites
+     */
+    getMirrorSource(sprites, sprite) {
+        if (sprite.mirrorOf === null || sprite.mirrorOf === undefined) return null;
+
+        const source = sprites.find(candidate =>
+            candidate.directionIndex === sprite.mirrorOf && candidate.frameIndex === sprite.frameIndex
+        );
+        return {
+            directionIndex: sprite.mirrorOf,
+            fileName: source ? source.fileName : null,
+            flipX: true
+        };
+    }
+
+    /**
+     * Name every sprite from the sprite template so all exporters use the same names
+     * @param {Sprite[]} sprites
+     * @param {Object} naming - Result of getNamingSettings()
+     * @returns {Sprite[]} Renamed copies; the given sprites keep their names
+     */
+    nameSprites(sprites, naming) {
+        let template = new FileNameTemplate(naming.spriteTemplate);
+        const usedNames = new Set();
+
+        // Multi-elevation sprites always carry their ring in the name
+        const hasElevations = sprites.some(sprite => sprite.elevationIndex !== null && sprite.elevationIndex !== undefined);
+        if (hasElevations && !template.hasElevationToken()) {
+            template = new FileNameTemplate(`${naming.spriteTemplate}_e{elev}`);
+        }
+
+        return sprites.map(sprite => {
+            if (!(sprite instanceof Sprite)) return sprite;
+
+            const fileName = `${template.format(FileNameTemplate.getSpriteValues(sprite, naming.context))}.png`;
+            if (usedNames.has(fileName)) {
+                throw new Error(`File name template gives several sprites the name "${fileName}". Include {dir} and {frame}.`);
+            }
+            usedNames.add(fileName);
+            return sprite.withFileName(fileName);
+        });
+    }
+
+    getNamingSettings(options) {
+        return {
+            spriteTemplate: options.fileNameTemplate || CONFIG.NAMING.SPRITE_TEMPLATE,
+            folderTemplate: options.folderTemplate !== undefined ? options.folderTemplate : CONFIG.NAMING.FOLDER_TEMPLATE,
+            outputTemplate: options.outputTemplate || CONFIG.NAMING.OUTPUT_TEMPLATE,
+            previewFolderTemplate: options.previewFolderTemplate !== undefined
+                ? options.previewFolderTemplate
+                : CONFIG.NAMING.PREVIEW_FOLDER_TEMPLATE,
+            archiveTemplate: options.archiveTemplate || CONFIG.NAMING.ARCHIVE_TEMPLATE,
+            context: {
+                modelName: options.modelName || null,
+                animationName: options.animationName || null,
+                spriteSize: options.spriteSize || null
+            }
+        };
+    }
+
+    /**
+     * Build a function giving each sprite's pivot for the chosen pivot mode
+     * Fixed modes ('center', 'bottom') use CONFIG.EXPORT.PIVOTS; anchor modes ('ground', 'root')
+     * use the per-frame Sprite.anchors and fall back to the default pivot when a sprite has none
+     * @param {Object} options - Export options (options.pivot is the pivot mode)
+     * @returns {Function} (sprite, width, height) => {x, y} normalized, origin bottom-left
+     */
+    getPivotResolver(options) {
+        const mode = options.pivot || CONFIG.EXPORT.DEFAULT_PIVOT;
+        const fallback = CONFIG.EXPORT.PIVOTS[mode] || CONFIG.EXPORT.PIVOTS[CONFIG.EXPORT.DEFAULT_PIVOT];
+        const round = (value) => Math.round(value * 10000) / 10000;
+
+        return (sprite, width, height) => {
+            const anchor = CONFIG.EXPORT.ANCHOR_PIVOTS.includes(mode) && sprite.anchors ? sprite.anchors[mode] : null;
+            if (!anchor) {
+                return fallback;
+            }
+            return { x: round(anchor.x / width), y: round(1 - anchor.y / height) };
+        };
+    }
+
+    /**
+     * Resolution variants to export; the largest scale is the rendered size
+     * @param {Object} options - Export options (options.resolutionScales)
+     * @returns {Array} [{scale, factor, label, spriteSize}] largest first
+     */
+    getResolutions(options) {
+        const scales = options.resolutionScales && options.resolutionScales.length > 0
+            ? [...options.resolutionScales].sort((a, b) => b - a)
+            : CONFIG.EXPORT.DEFAULT_RESOLUTION_SCALES;
+        const largest = scales[0];
+
+        return scales.map(scale => {
+            const factor = scale / largest;
+            return {
+                scale,
+                factor,
+                label: `@${scale}x`,
+                spriteSize: options.spriteSize ? Math.max(1, Math.round(options.spriteSize * factor)) : null
+            };
+        });
+    }
+
+    // Playback settings shared by the engine exporters
+    getAnimationSettings(options) {
+        return {
+            fps: options.fps || CONFIG.EXPORT.DEFAULT_FPS,
+            loop: options.loop !== undefined ? options.loop : true,
+            animationName: options.animationName || null
+        };
+    }
+
     downloadBlob(blob, fileName) {
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
@@ -0,0 +1,72 @@
+// File Name Template - Expands naming tokens like {model}, {dir} and {frame:03} into export paths
+class FileNameTemplate {
+    constructor(template) {
+        this.template = template;
+    }
+
+    /**
+     * Token values shared by every file of one export
+     * @param {Object} context - {modelName, animationName, spriteSize}
+     * @returns {Object} {model, animation, size}
+     */
+    static getContextValues(context) {
+        const modelName = context.modelName ? context.modelName.replace(/\.[^.]+$/, '') : '';
+        return {
+            model: Sprite.toKey(modelName) || 'model',
+            animation: context.animationName ? Sprite.toKey(context.animationName) : 'static',
+            size: context.spriteSize || ''
+        };
+    }
+
+    /**
+     * Token values for one sprite
+     * @param {Sprite} sprite
+     * @param {Object} context - {modelName, animationName, spriteSize}
+     * @returns {Object} Context values plus {dir, dirIndex, frame, elev}
+     */
+    static getSpriteValues(sprite, context) {
+        return {
+            ...FileNameTemplate.getContextValues(context),
+            dir: Sprite.sanitizeName(sprite.directionName),
+            dirIndex: sprite.directionIndex || 0,
+            frame: (sprite.frameIndex !== undefined && sprite.frameIndex !== null) ? sprite.frameIndex : 0,
+            elev: sprite.elevationIndex || 0
+        };
+    }
+
+    // Whether the template names the elevation ring
+    hasElevationToken() {
+        return /\{elev(?::\d+)?\}/.test(this.template);
+    }
+
+    /**
+     * Expand the template
+     * {token:0N} zero-pads the value to N characters; '/' creates subfolders
+     * @param {Object} values - Token name -> value
+     * @returns {string} Relative path without extension
+     */
+    format(values) {
+        const expanded = this.template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, token, width) => {
+            if (!(token in values)) {
+                throw new Error(`Unknown file name token ${match}`);
+            }
+            const value = String(values[token]);
+            return width ? value.padStart(parseInt(width, 10), '0') : value;
+        });
+
+        const path = this.sanitizePath(expanded);
+        if (!path) {
+            throw new Error(`File name template "${this.template}" produces an empty name`);
+        }
+        return path;
+    }
+
+    // Drop characters that are invalid in file names and any empty or relative path segments
+    sanitizePath(path) {
+        return path
+            .split(/[\\/]+/)
+            .map(segment => segment.replace(/[<>:"|?*\x00-\x1f]/g, '_').trim())
+            .filter(segment => segment && segment !== '.' && segment !== '..')
+            .join('/');
+    }
+}
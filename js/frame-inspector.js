@@ -0,0 +1,61 @@
+// Frame Inspector - Finds sprites cut off at the image border and sprites with nothing in them
+class FrameInspector {
+    constructor(spriteSheetBuilder) {
+        this.spriteSheetBuilder = spriteSheetBuilder;
+    }
+
+    /**
+     * Check the color image of every sprite
+     * @param {Sprite[]} sprites
+     * @returns {Promise<Object>} {checked, clipped: [{sprite, edges}], empty: Sprite[]}
+     */
+    async inspect(sprites) {
+        const report = { checked: sprites.length, clipped: [], empty: [] };
+
+        for (const sprite of sprites) {
+            const image = await this.spriteSheetBuilder.loadImage(sprite.data);
+            const result = this.inspectPixels(this.spriteSheetBuilder.getImageData(image).data, image.width, image.height);
+
+            if (result.empty) {
+                report.empty.push(sprite);
+            } else if (result.edges.length > 0) {
+                report.clipped.push({ sprite, edges: result.edges });
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Look for visible pixels at all, and on each border row and column
+     * @param {Uint8ClampedArray} rgba
+     * @param {number} width
+     * @param {number} height
+     * @returns {Object} {empty: boolean, edges: Array<'top'|'bottom'|'left'|'right'>}
+     */
+    inspectPixels(rgba, width, height) {
+        const threshold = CONFIG.INSPECTION.ALPHA_THRESHOLD;
+        const isVisible = (x, y) => rgba[(y * width + x) * 4 + 3] >= threshold;
+
+        let empty = true;
+        for (let i = 3; i < rgba.length; i += 4) {
+            if (rgba[i] >= threshold) {
+                empty = false;
+                break;
+            }
+        }
+        if (empty) {
+            return { empty, edges: [] };
+        }
+
+        const edges = [];
+        const rowTouches = y => Array.from({ length: width }, (_, x) => x).some(x => isVisible(x, y));
+        const columnTouches = x => Array.from({ length: height }, (_, y) => y).some(y => isVisible(x, y));
+        if (rowTouches(0)) edges.push('top');
+        if (rowTouches(height - 1)) edges.push('bottom');
+        if (columnTouches(0)) edges.push('left');
+        if (columnTouches(width - 1)) edges.push('right');
+
+        return { empty, edges };
+    }
+}
@@ -0,0 +1,189 @@
+// GIF Encoder - Encodes RGBA frames into an animated GIF89a with a shared median-cut palette
+class GifEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.frames = [];
+        this.transparentIndex = 0;
+    }
+
+    /**
+     * Queue a frame
+     * @param {Uint8ClampedArray} rgba - Pixel data (width * height * 4)
+     * @param {number} delay - Frame delay in milliseconds
+     */
+    addFrame(rgba, delay) {
+        this.frames.push({ rgba, delay });
+    }
+
+    /**
+     * Encode all queued frames
+     * @param {boolean} loop - Repeat forever instead of playing once
+     * @returns {Uint8Array} GIF file bytes
+     */
+    encode(loop = true) {
+        if (this.frames.length === 0) {
+            throw new Error('No frames to encode');
+        }
+
+        const palette = this.buildPalette();
+        const bytes = [];
+
+        const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+        const writeString = (text) => {
+            for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i));
+        };
+
+        // Header and logical screen descriptor with a 256-entry global color table
+        writeString('GIF89a');
+        writeShort(this.width);
+        writeShort(this.height);
+        bytes.push(0xf7, this.transparentIndex, 0);
+        palette.colors.forEach(color => bytes.push(color[0], color[1], color[2]));
+
+        // NETSCAPE2.0 extension: loop count 0 = forever
+        if (loop) {
+            bytes.push(0x21, 0xff, 0x0b);
+            writeString('NETSCAPE2.0');
+            bytes.push(0x03, 0x01);
+            writeShort(0);
+            bytes.push(0x00);
+        }
+
+        // GIF delays are whole centiseconds; the rounding error carries over so the total length matches
+        let elapsed = 0;
+        let written = 0;
+
+        this.frames.forEach(frame => {
+            elapsed += frame.delay / 10;
+            const delay = Math.round(elapsed) - written;
+            written += delay;
+
+            // Graphic control extension: restore to background, transparent index 0
+            bytes.push(0x21, 0xf9, 0x04, (2 << 2) | 1);
+            writeShort(delay);
+            bytes.push(this.transparentIndex, 0x00);
+
+            // Image descriptor covering the full canvas, no local color table
+            bytes.push(0x2c);
+            writeShort(0);
+            writeShort(0);
+            writeShort(this.width);
+            writeShort(this.height);
+            bytes.push(0x00);
+
+            const indices = this.mapToPalette(frame.rgba, palette);
+            const data = this.lzwEncode(indices, 8);
+
+            bytes.push(8);
+            for (let offset = 0; offset < data.length; offset += 255) {
+                const block = data.subarray(offset, offset + 255);
+                bytes.push(block.length);
+                for (let i = 0; i < block.length; i++) bytes.push(block[i]);
+            }
+            bytes.push(0x00);
+        });
+
+        bytes.push(0x3b);
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Median-cut quantization over all frames in 15-bit color space
+     * Index 0 is reserved for transparency, leaving 255 colors
+     * @returns {Object} {colors: Array<[r, g, b]>, lookup: Int16Array (15-bit color -> index)}
+     */
+    buildPalette() {
+        const quantizer = new ColorQuantizer();
+        this.frames.forEach(frame => quantizer.addPixels(frame.rgba, CONFIG.EXPORT.GIF_ALPHA_THRESHOLD));
+        const { colors: quantized, keys } = quantizer.medianCut(255);
+
+        const colors = [[0, 0, 0], ...quantized];
+        while (colors.length < 256) {
+            colors.push([0, 0, 0]);
+        }
+
+        // Nearest palette entry for every 15-bit color present in the frames
+        const lookup = new Int16Array(32768).fill(-1);
+        keys.forEach(key => {
+            const [r, g, b] = ColorQuantizer.fromColorKey(key);
+            lookup[key] = 1 + ColorQuantizer.findNearest(quantized, r, g, b);
+        });
+
+        return { colors, lookup };
+    }
+
+    mapToPalette(rgba, palette) {
+        const indices = new Uint8Array(rgba.length / 4);
+        for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+            indices[p] = rgba[i + 3] >= CONFIG.EXPORT.GIF_ALPHA_THRESHOLD
+                ? palette.lookup[ColorQuantizer.toColorKey(rgba[i], rgba[i + 1], rgba[i + 2])]
+                : this.transparentIndex;
+        }
+        return indices;
+    }
+
+    /**
+     * Variable-length LZW as used by GIF image data
+     * @param {Uint8Array} indices - Palette indices
+     * @param {number} minCodeSize - Initial code size (bits per index)
+     * @returns {Uint8Array}
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xff);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) {
+            output.push(buffer & 0xff);
+        }
+
+        return new Uint8Array(output);
+    }
+}
+
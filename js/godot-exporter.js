@@ -0,0 +1,75 @@
+// Godot Exporter - Builds Godot 4 SpriteFrames (.tres) resources from packed atlas pages
+class GodotExporter {
+    /**
+     * Build a SpriteFrames resource with one animation per direction
+     * @param {Array} pages - Atlas pages from AtlasPacker.pack()
+     * @param {string[]} imageFileNames - Image file name of each page (relative to the .tres)
+     * @param {Object} settings - {animationName, fps, loop}
+     * @returns {string} .tres file contents
+     */
+    buildSpriteFrames(pages, imageFileNames, settings) {
+        const extResources = imageFileNames.map((fileName, index) =>
+            `[ext_resource type="Texture2D" path="${fileName}" id="${index + 1}"]`
+        );
+
+        const subResources = [];
+        const entries = [];
+
+        pages.forEach((page, pageIndex) => {
+            page.frames.forEach(frame => {
+                const id = `AtlasTexture_${subResources.length + 1}`;
+                subResources.push(this.buildAtlasTexture(id, pageIndex + 1, frame));
+                entries.push({ id, sprite: frame.sprite });
+            });
+        });
+
+        const animations = Sprite.groupByDirection(entries, entry => entry.sprite)
+            .map(directionEntries => this.buildAnimation(directionEntries, settings));
+
+        const loadSteps = extResources.length + subResources.length + 1;
+
+        return [
+            `[gd_resource type="SpriteFrames" load_steps=${loadSteps} format=3]`,
+            '',
+            extResources.join('\n'),
+            '',
+            subResources.join('\n\n'),
+            '',
+            '[resource]',
+            `animations = [${animations.join(', ')}]`,
+            ''
+        ].join('\n');
+    }
+
+    buildAtlasTexture(id, extResourceId, frame) {
+        const { x, y, w, h } = frame.frame;
+        const offset = frame.spriteSourceSize;
+
+        // Margin restores the transparent border removed by trimming
+        const marginW = frame.sourceSize.w - w;
+        const marginH = frame.sourceSize.h - h;
+
+        return [
+            `[sub_resource type="AtlasTexture" id="${id}"]`,
+            `atlas = ExtResource("${extResourceId}")`,
+            `region = Rect2(${x}, ${y}, ${w}, ${h})`,
+            `margin = Rect2(${offset.x}, ${offset.y}, ${marginW}, ${marginH})`
+        ].join('\n');
+    }
+
+    // One direction's entries, ordered by frame
+    buildAnimation(entries, settings) {
+        const frames = entries.map(entry =>
+            `{\n"duration": 1.0,\n"texture": SubResource("${entry.id}")\n}`
+        );
+
+        return [
+            '{',
+            `"frames": [${frames.join(', ')}],`,
+            `"loop": ${settings.loop ? 'true' : 'false'},`,
+            `"name": &"${entries[0].sprite.getAnimationKey(settings.animationName)}",`,
+            `"speed": ${settings.fps.toFixed(1)}`,
+            '}'
+        ].join('\n');
+    }
+}
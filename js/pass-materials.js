@@ -0,0 +1,81 @@
+// Pass Materials - Override materials for the extra render passes (normal, depth)
+class PassMaterials {
+    constructor() {
+        this.materials = {};
+    }
+
+    /**
+     * Get the override material of a pass, creating it on first use
+     * @param {string} pass - Key of CONFIG.RENDER_PASSES
+     * @returns {THREE.Material}
+     */
+    get(pass) {
+        if (!this.materials[pass]) {
+            switch (pass) {
+                case 'normal':
+                    this.materials[pass] = this.createNormalMaterial();
+                    break;
+                case 'depth':
+                    this.materials[pass] = this.createDepthMaterial();
+                    break;
+                default:
+                    throw new Error(`Unknown render pass: ${pass}`);
+            }
+        }
+        return this.materials[pass];
+    }
+
+    /**
+     * Set the view-space distances mapped to black (near) and white (far) in the depth pass
+     * @param {number} near
+     * @param {number} far
+     */
+    setDepthRange(near, far) {
+        const material = this.get('depth');
+        material.uniforms.depthNear.value = near;
+        material.uniforms.depthFar.value = far;
+    }
+
+    createNormalMaterial() {
+        // Skinning on so animated poses match the color pass
+        return new THREE.MeshNormalMaterial({
+            skinning: true,
+            side: THREE.DoubleSide
+        });
+    }
+
+    // Linear view-space depth; MeshDepthMaterial's perspective depth would waste most of the 8 bits
+    createDepthMaterial() {
+        return new THREE.ShaderMaterial({
+            skinning: true,
+            side: THREE.DoubleSide,
+            uniforms: {
+                depthNear: { value: CONFIG.CAMERA.NEAR },
+                depthFar: { value: CONFIG.CAMERA.FAR }
+            },
+            vertexShader: `
+                #include <common>
+                #include <skinning_pars_vertex>
+                varying float vViewDepth;
+
+                void main() {
+                    #include <skinbase_vertex>
+                    #include <begin_vertex>
+                    #include <skinning_vertex>
+                    #include <project_vertex>
+                    vViewDepth = -mvPosition.z;
+                }
+            `,
+            fragmentShader: `
+                uniform float depthNear;
+                uniform float depthFar;
+                varying float vViewDepth;
+
+                void main() {
+                    float depth = clamp((vViewDepth - depthNear) / (depthFar - depthNear), 0.0, 1.0);
+                    gl_FragColor = vec4(vec3(depth), 1.0);
+                }
+            `
+        });
+    }
+}
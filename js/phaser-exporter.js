@@ -0,0 +1,75 @@
+// Phaser Exporter - Builds Phaser 3 multiatlas and animation manifest JSON
+class PhaserExporter {
+    /**
+     * Build a Phaser 3 multiatlas (load with this.load.multiatlas)
+     * @param {Array} pages - Atlas pages from AtlasPacker.pack()
+     * @param {string[]} imageFileNames - Image file name of each page
+     * @param {Function} getPivot - Optional (sprite, w, h) => normalized pivot, origin bottom-left
+     * @returns {Object}
+     */
+    buildMultiatlas(pages, imageFileNames, getPivot = null) {
+        return {
+            textures: pages.map((page, index) => ({
+                image: imageFileNames[index],
+                format: 'RGBA8888',
+                size: { w: page.width, h: page.height },
+                scale: 1,
+                frames: page.frames.map(frame => this.buildFrame(frame, getPivot))
+            })),
+            meta: {
+                app: CONFIG.EXPORT.APP_NAME,
+                version: '1.0'
+            }
+        };
+    }
+
+    /**
+     * Build an animation manifest with one animation per direction
+     * (load with this.anims.fromJSON)
+     * @param {Sprite[]} sprites - Generated sprites
+     * @param {string} textureKey - Key the multiatlas is loaded under
+     * @param {number} fps - Playback frame rate
+     * @param {boolean} loop - Whether animations repeat forever
+     * @returns {Object}
+     */
+    buildAnimations(sprites, textureKey, fps, loop = true) {
+        const anims = Sprite.groupByDirection(sprites).map(ordered => {
+            return {
+                key: ordered[0].directionKey,
+                type: 'frame',
+                frames: ordered.map(sprite => ({
+                    key: textureKey,
+                    frame: this.getFrameKey(sprite)
+                })),
+                frameRate: fps,
+                repeat: loop ? -1 : 0
+            };
+        });
+
+        return { anims };
+    }
+
+    buildFrame(frame, getPivot) {
+        const entry = {
+            filename: this.getFrameKey(frame.sprite),
+            rotated: false,
+            trimmed: frame.trimmed,
+            sourceSize: frame.sourceSize,
+            spriteSourceSize: frame.spriteSourceSize,
+            frame: frame.frame
+        };
+
+        // Phaser's atlas parsers read 'anchor' as the frame's custom pivot (normalized, origin top-left)
+        if (getPivot) {
+            const pivot = getPivot(frame.sprite, frame.sourceSize.w, frame.sourceSize.h);
+            entry.anchor = { x: pivot.x, y: Math.round((1 - pivot.y) * 10000) / 10000 };
+        }
+
+        return entry;
+    }
+
+    // Phaser frame keys are the sprite file names without the extension
+    getFrameKey(sprite) {
+        return sprite.fileName.replace(/\.png$/, '');
+    }
+}
@@ -0,0 +1,110 @@
+// Pixel Art Processor - Hard alpha, palette lock, ordered dithering and nearest-neighbor upscale
+class PixelArtProcessor {
+    /**
+     * @param {Object} settings - {alphaThreshold, palette: Array<[r, g, b]>|null, paletteSize, dither}
+     *   A null palette is extracted from all frames with extractPalette()
+     */
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Make every pixel fully opaque or fully transparent (in place)
+     * @param {Uint8ClampedArray} rgba
+     */
+    applyAlphaThreshold(rgba) {
+        for (let i = 3; i < rgba.length; i += 4) {
+            rgba[i] = rgba[i] >= this.settings.alphaThreshold ? 255 : 0;
+        }
+    }
+
+    /**
+     * Median-cut a shared palette from all frames so every sprite uses the same colors
+     * @param {Uint8ClampedArray[]} frames
+     * @returns {Array<[r, g, b]>}
+     */
+    extractPalette(frames) {
+        const quantizer = new ColorQuantizer();
+        frames.forEach(rgba => quantizer.addPixels(rgba, this.settings.alphaThreshold));
+        return quantizer.medianCut(this.settings.paletteSize).colors;
+    }
+
+    /**
+     * Snap opaque pixels to the nearest palette color (in place)
+     * @param {Uint8ClampedArray} rgba
+     * @param {number} width
+     * @param {Array<[r, g, b]>} palette
+     */
+    quantize(rgba, width, palette) {
+        if (palette.length === 0) return;
+
+        const matrix = CONFIG.PIXEL_ART.BAYER_MATRIX;
+        const matrixSize = matrix.length;
+        const levels = matrixSize * matrixSize;
+        const nearest = new Map();
+
+        for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+            if (rgba[i + 3] === 0) continue;
+
+            let r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+            if (this.settings.dither) {
+                // Ordered (Bayer) dithering: nudge the color by a position-dependent threshold
+                const x = p % width;
+                const y = Math.floor(p / width);
+                const offset = ((matrix[y % matrixSize][x % matrixSize] + 0.5) / levels - 0.5) * CONFIG.PIXEL_ART.DITHER_SPREAD;
+                r = Math.max(0, Math.min(255, r + offset));
+                g = Math.max(0, Math.min(255, g + offset));
+                b = Math.max(0, Math.min(255, b + offset));
+            }
+
+            const key = ColorQuantizer.toColorKey(r, g, b);
+            if (!nearest.has(key)) {
+                nearest.set(key, palette[ColorQuantizer.findNearest(palette, r, g, b)]);
+            }
+            const color = nearest.get(key);
+            rgba[i] = color[0];
+            rgba[i + 1] = color[1];
+            rgba[i + 2] = color[2];
+        }
+    }
+
+    /**
+     * Nearest-neighbor upscale by a whole factor so every pixel stays a crisp square
+     * @param {Uint8ClampedArray} rgba
+     * @param {number} width
+     * @param {number} height
+     * @param {number} factor - Integer scale
+     * @returns {Uint8ClampedArray}
+     */
+    upscale(rgba, width, height, factor) {
+        if (factor === 1) return rgba;
+
+        const outWidth = width * factor;
+        const result = new Uint8ClampedArray(outWidth * height * factor * 4);
+        for (let y = 0; y < height * factor; y++) {
+            const sourceRow = Math.floor(y / factor) * width;
+            for (let x = 0; x < outWidth; x++) {
+                const src = (sourceRow + Math.floor(x / factor)) * 4;
+                const out = (y * outWidth + x) * 4;
+                result[out] = rgba[src];
+                result[out + 1] = rgba[src + 1];
+                result[out + 2] = rgba[src + 2];
+                result[out + 3] = rgba[src + 3];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Parse a palette from hex colors separated by commas, spaces or new lines
+     * @param {string} text - e.g. '#1a1c2c, #5d275d, b13e53'
+     * @returns {Array<[r, g, b]>|null} null when the text holds no colors
+     */
+    static parsePalette(text) {
+        const colors = (text.match(/#?[0-9a-f]{6}\b/gi) || []).map(hex => {
+            const value = parseInt(hex.replace('#', ''), 16);
+            return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+        });
+        return colors.length > 0 ? colors : null;
+    }
+}
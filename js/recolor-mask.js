@@ -0,0 +1,100 @@
+// Recolor Mask - Tags materials and equipment slots with mask channels for the recolor mask pass
+class RecolorMask {
+    constructor(equipmentManager) {
+        this.equipmentManager = equipmentManager;
+
+        // Target -> channel ('r', 'g' or 'b'); targets are 'material:<key>' or 'slot:<id>'
+        this.channels = new Map();
+
+        // Cached flat materials keyed by channel + skinning
+        this.materials = {};
+    }
+
+    /**
+     * Tag a material or equipment slot (an empty channel removes the tag)
+     * @param {string} target - 'material:<key>' or 'slot:<id>'
+     * @param {string} channel - Key of CONFIG.RENDER_PASSES.mask.CHANNELS, or ''
+     */
+    setChannel(target, channel) {
+        if (!channel) {
+            this.channels.delete(target);
+            return;
+        }
+        if (!CONFIG.RENDER_PASSES.mask.CHANNELS[channel]) {
+            throw new Error(`Unknown mask channel: ${channel}`);
+        }
+        this.channels.set(target, channel);
+    }
+
+    getChannel(target) {
+        return this.channels.get(target) || '';
+    }
+
+    // Material tags belong to one model; slot tags carry over
+    clearMaterialTags() {
+        Array.from(this.channels.keys())
+            .filter(target => target.startsWith('material:'))
+            .forEach(target => this.channels.delete(target));
+    }
+
+    /**
+     * List the taggable materials of a model
+     * @param {THREE.Object3D} model
+     * @returns {string[]} Material keys, sorted
+     */
+    getMaterialKeys(model) {
+        const keys = new Set();
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            this.getMeshMaterials(child).forEach((material, index) => {
+                keys.add(this.getMaterialKey(child, material, index));
+            });
+        });
+        return Array.from(keys).sort();
+    }
+
+    // Unnamed materials fall back to their mesh name so they can still be tagged
+    getMaterialKey(mesh, material, index) {
+        return material.name || `${mesh.name || 'mesh'}#${index}`;
+    }
+
+    /**
+     * Mask material for one mesh material: material tags win over slot tags,
+     * untagged geometry renders black so it still hides tagged parts behind it
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Material} material - The mesh's own material
+     * @param {number} index - Index of the material in a multi-material mesh
+     * @returns {THREE.Material}
+     */
+    getMaskMaterial(mesh, material, index) {
+        let channel = this.channels.get(`material:${this.getMaterialKey(mesh, material, index)}`);
+
+        if (!channel && this.equipmentManager) {
+            const slot = this.equipmentManager.getSlotForObject(mesh);
+            channel = slot ? this.channels.get(`slot:${slot}`) : null;
+        }
+
+        const color = channel
+            ? CONFIG.RENDER_PASSES.mask.CHANNELS[channel]
+            : CONFIG.RENDER_PASSES.mask.UNTAGGED_COLOR;
+        const cacheKey = `${channel || 'none'}:${mesh.isSkinnedMesh ? 'skinned' : 'static'}`;
+
+        if (!this.materials[cacheKey]) {
+            this.materials[cacheKey] = new THREE.MeshBasicMaterial({
+                color,
+                skinning: !!mesh.isSkinnedMesh,
+                side: THREE.DoubleSide
+            });
+        }
+        return this.materials[cacheKey];
+    }
+
+    // Tags for the manifest: [{target, channel}]
+    getAssignments() {
+        return Array.from(this.channels.entries()).map(([target, channel]) => ({ target, channel }));
+    }
+
+    getMeshMaterials(mesh) {
+        return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    }
+}
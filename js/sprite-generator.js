@@ -1,11 +1,23 @@
 // Sprite Generator - Handles sprite rendering from different angles
 class SpriteGenerator {
-    constructor(threeSetup, uiController, animationController) {
+    constructor(threeSetup, uiController, animationController, equipmentManager = null, recolorMask = null) {
         this.threeSetup = threeSetup;
         this.uiController = uiController;
         this.animationController = animationController;
+        this.equipmentManager = equipmentManager;
+        this.recolorMask = recolorMask;
         this.generatedSprites = [];
+        this.generationSettings = null;
+        this.generationManifest = null;
+        this.frameReport = null;
+        this.savedViewState = null; // Viewport state to restore while a generation run has changed it
+        this.frameInspector = new FrameInspector(new SpriteSheetBuilder());
+        this.passMaterials = new PassMaterials();
+        this.imageResampler = new ImageResampler(new SpriteSheetBuilder());
+        this.pixelArtProcessor = null;
         this.frameCalculator = new AnimationFrameCalculator();
+        this.directionSet = new DirectionSet();
+        this.autoFraming = new AutoFraming(threeSetup, animationController);
     }
 
     async generateSprites() {
@@ -21,6 +33,16 @@ class SpriteGenerator {
 
             await this.generateAllDirectionalSprites(context);
 
+            if (context.mirrorSymmetry) {
+                await this.generateMirroredSprites(context);
+            }
+
+            if (context.pixelArt) {
+                this.applyPixelArtPalette(context);
+            }
+
+            await this.inspectFrames();
+
             this.restoreRenderingState(context);
 
             this.displayResults();
@@ -34,7 +56,7 @@ class SpriteGenerator {
     }
 
     prepareGenerationContext() {
-        const spriteSize = this.uiController.getSpriteSize();
+        const requestedSize = this.uiController.getSpriteSize();
         const selectedAnimation = this.uiController.getSelectedAnimation();
 
         // Only use multiple frames if animation is selected
@@ -43,64 +65,332 @@ class SpriteGenerator {
             : 1;
 
         const animationDuration = this.animationController.getAnimationDuration(selectedAnimation);
-
-        // Use distance from slider but angle from current camera view
-        const distance = this.uiController.getCameraDistance();
-        const pitch = this.threeSetup.getCurrentCameraPitch();
-
-        // Calculate height and horizontal distance from pitch angle
-        const height = distance * Math.sin(pitch);
-        const horizontalDistance = distance * Math.cos(pitch);
+        const animationName = this.animationController.getAnimationName(selectedAnimation);
+
+        // Use distance from slider unless auto-framing fits it; the pitch comes from the elevation rings,
+        // a camera preset, or else from the current camera view
+        let distance = this.uiController.getCameraDistance();
+        const cameraPreset = this.uiController.getCameraPreset();
+        const elevationDegrees = this.uiController.getElevations();
+        let pitches;
+        if (elevationDegrees) {
+            pitches = elevationDegrees.map(degrees => degrees * Math.PI / 180);
+        } else if (cameraPreset) {
+            pitches = [CONFIG.CAMERA_PRESETS[cameraPreset].PITCH];
+        } else {
+            pitches = [this.threeSetup.getCurrentCameraPitch()];
+        }
 
         // Get directions
-        let directions;
+        let ring;
+        let directionSettings = null;
         const singleDirectionMode = this.uiController.isSingleDirectionEnabled();
 
         if (singleDirectionMode) {
             // Single direction mode - use current camera angle
             const currentAngle = this.threeSetup.getCurrentCameraAngle();
-            directions = [{
+            ring = [{
                 name: 'current_view',
                 angle: currentAngle
             }];
         } else {
-            // Multi-direction mode - use 8 or 16 directions
-            const directionCount = this.uiController.getDirectionCount();
-            directions = directionCount === 16 ? CONFIG.DIRECTIONS_16 : CONFIG.DIRECTIONS_8;
+            // Multi-direction mode - a named ring (4, 6, 8, 16, 32) or a custom angle list
+            directionSettings = this.uiController.getDirectionSettings();
+            ring = this.directionSet.build(directionSettings);
+        }
+
+        // Symmetric models only render half the ring; the rest are flipped copies.
+        // The ground shadow is cast from the side, so a flipped copy would put it on the wrong side
+        const shadow = this.uiController.getShadowSettings();
+        const mirrorSymmetry = !singleDirectionMode && this.uiController.isMirrorSymmetryEnabled()
+            && shadow.mode === 'none';
+        const ringMirrors = mirrorSymmetry
+            ? this.directionSet.findMirrors(ring)
+            : ring.map(() => null);
+
+        // Several elevations repeat the ring once per pitch; direction indices run on across the rings
+        const multiElevation = pitches.length > 1;
+        const directions = [];
+        const mirrors = [];
+        pitches.forEach((_, elevationIndex) => {
+            const offset = elevationIndex * ring.length;
+            ring.forEach((direction, index) => {
+                directions.push({ ...direction, elevationIndex: multiElevation ? elevationIndex : null });
+                mirrors.push(ringMirrors[index] === null ? null : ringMirrors[index] + offset);
+            });
+        });
+
+        const passes = this.uiController.getRenderPasses();
+        if (shadow.mode === 'layer') {
+            passes.push('shadow');
+        }
+
+        // Anchor bone and ground height for per-frame pivots
+        const anchorObject = this.findAnchorObject();
+        const modelBox = new THREE.Box3().setFromObject(this.threeSetup.getLoadedModel());
+        const groundY = modelBox.min.y;
+
+        // Bounds of the whole motion, so one framing fits every frame and direction
+        const framing = this.uiController.getAutoFramingSettings();
+        let motionBox = null;
+        if (framing) {
+            this.uiController.updateProgress(5, 'Measuring motion bounds...');
+            motionBox = this.autoFraming.measureMotionBounds(
+                this.getFramingSampleTimes(selectedAnimation, animationFrames, animationDuration)
+            );
+            if (motionBox.isEmpty()) {
+                motionBox = null;
+            }
+        }
+        const views = directions.map(direction => ({
+            angle: direction.angle,
+            pitch: pitches[direction.elevationIndex || 0]
+        }));
+
+        // Pixel art renders small and upscales by a whole factor towards the requested size
+        const pixelArt = this.uiController.getPixelArtSettings();
+        if (pixelArt) {
+            pixelArt.upscaleFactor = pixelArt.upscale ? Math.max(1, Math.round(requestedSize / pixelArt.resolution)) : 1;
+            this.pixelArtProcessor = new PixelArtProcessor(pixelArt);
+        }
+        const spriteSize = pixelArt ? pixelArt.resolution * pixelArt.upscaleFactor : requestedSize;
+
+        // Orthographic frustum: a fixed world height, or derived from the sprite size and pixels per unit;
+        // auto-framing replaces it (orthographic) or the camera distance (perspective)
+        const projection = this.uiController.getProjectionSettings();
+        if (projection.type === 'orthographic' && motionBox) {
+            projection.frustumHeight = this.autoFraming.fitFrustumHeight(motionBox, views, framing.margin);
+        } else if (projection.type === 'orthographic') {
+            projection.frustumHeight = projection.sizeMode === 'ppu'
+                ? spriteSize / projection.pixelsPerUnit
+                : projection.worldHeight;
+        } else if (motionBox) {
+            distance = this.autoFraming.fitDistance(motionBox, views, this.threeSetup.camera.fov, framing.margin);
+        }
+
+        // Calculate height and horizontal distance of each ring from its pitch angle
+        const elevations = pitches.map(ringPitch => ({
+            pitch: ringPitch,
+            height: distance * Math.sin(ringPitch),
+            horizontalDistance: distance * Math.cos(ringPitch)
+        }));
+        const { pitch, height, horizontalDistance } = elevations[0];
+
+        // Pixel art wants hard edges, so it never supersamples
+        const supersampling = this.uiController.getSupersamplingSettings();
+        if (pixelArt) {
+            supersampling.factor = 1;
+        }
+        while (supersampling.factor > 1 && spriteSize * supersampling.factor > CONFIG.SUPERSAMPLING.MAX_RENDER_SIZE) {
+            supersampling.factor /= 2;
         }
 
+        // Tight near/far around the model (its whole motion when measured) so the 8-bit depth pass keeps its precision
+        const depthRange = this.computeDepthRange(motionBox || modelBox, distance);
+        this.passMaterials.setDepthRange(depthRange.near, depthRange.far);
+
         // Save state for restoration
         const originalCameraPosition = this.threeSetup.camera.position.clone();
         const originalSize = this.threeSetup.getRendererSize();
+        const originalPixelRatio = this.threeSetup.getPixelRatio();
         const originalAspect = this.threeSetup.camera.aspect;
+        // Also kept outside the context so cleanup() can restore the view when generation fails
+        this.savedViewState = { originalCameraPosition, originalSize, originalPixelRatio, originalAspect };
+
+        // Capture-only render style and ground shadow, undone in restoreRenderingState()
+        const renderStyle = this.uiController.getRenderStyleSettings();
+        this.threeSetup.setRenderStyle(renderStyle);
+        if (shadow.mode !== 'none') {
+            this.threeSetup.enableShadowCatcher(modelBox, shadow.opacity);
+        }
 
         // Setup for sprite rendering
         this.threeSetup.hideGrid();
         this.threeSetup.setTransparentBackground();
         this.uiController.updateProgress(10, 'Preparing renderer...');
+        // One canvas pixel per sprite pixel, so captures and anchors match the sprite size on HiDPI screens
+        this.threeSetup.setPixelRatio(1);
         this.threeSetup.setRendererSize(spriteSize, spriteSize);
 
         // Set camera aspect to 1:1 for square sprites
         this.threeSetup.camera.aspect = 1.0;
         this.threeSetup.camera.updateProjectionMatrix();
 
-        return {
+        // Orthographic scale doesn't depend on distance, so the near plane may sit behind the camera
+        // and nothing of the model gets cut; undone in restoreRenderingState()
+        if (projection.type === 'orthographic') {
+            this.threeSetup.enableOrthographicCamera(projection.frustumHeight, -depthRange.far, depthRange.far);
+        }
+
+        // Kept after generation so exporters can describe the sprite set
+        this.generationSettings = {
+            modelName: this.threeSetup.getLoadedModel().userData.fileName || null,
+            spriteSize,
+            animationName,
+            animationFrames,
+            animationDuration
+        };
+
+        const context = {
             spriteSize,
             selectedAnimation,
+            animationName,
             animationFrames,
             animationDuration,
+            distance,
+            projection,
+            cameraPreset,
+            framing,
+            motionBox,
+            elevations,
+            pitch,
             height,
             horizontalDistance,
             directions,
+            directionSettings,
+            mirrorSymmetry,
+            mirrors,
+            passes,
+            shadow,
+            renderStyle,
+            supersampling,
+            pixelArt,
+            pixelArtFrames: [],
+            depthRange,
+            anchorObject,
+            groundY,
             originalCameraPosition,
             originalSize,
+            originalPixelRatio,
             originalAspect
         };
+
+        this.generationManifest = this.buildGenerationManifest(context);
+
+        return context;
+    }
+
+    /**
+     * Animation times sampled for auto-framing: every captured frame plus an even spread across the clip
+     * @returns {number[]} Empty without an animation (the current pose is measured)
+     */
+    getFramingSampleTimes(selectedAnimation, animationFrames, animationDuration) {
+        if (!this.animationController.isAnimationSelected(selectedAnimation)) {
+            return [];
+        }
+
+        const times = [];
+        for (let frameIndex = 0; frameIndex < animationFrames; frameIndex++) {
+            times.push(this.frameCalculator.calculateFrameTime(frameIndex, animationFrames, animationDuration));
+        }
+        for (let sample = 0; sample < CONFIG.FRAMING.SAMPLES; sample++) {
+            times.push(this.frameCalculator.calculateFrameTime(sample, CONFIG.FRAMING.SAMPLES, animationDuration));
+        }
+        return times;
+    }
+
+    /**
+     * Record how this sprite set is produced so it can be reproduced or audited later
+     * @param {Object} context - Generation context
+     * @returns {Object}
+     */
+    buildGenerationManifest(context) {
+        const animationSelected = this.animationController.isAnimationSelected(context.selectedAnimation);
+        const frameTimes = [];
+        for (let frameIndex = 0; frameIndex < context.animationFrames; frameIndex++) {
+            frameTimes.push(animationSelected
+                ? this.frameCalculator.calculateFrameTime(frameIndex, context.animationFrames, context.animationDuration)
+                : 0);
+        }
+
+        return {
+            generator: CONFIG.EXPORT.APP_NAME,
+            generatedAt: new Date().toISOString(),
+            model: {
+                fileName: this.generationSettings.modelName
+            },
+            animation: {
+                name: context.animationName,
+                source: this.animationController.getAnimationSource(context.selectedAnimation),
+                duration: animationSelected ? context.animationDuration : 0,
+                frameCount: context.animationFrames,
+                frameTimes
+            },
+            directionSet: context.directionSettings ? {
+                scheme: context.directionSettings.scheme,
+                offsetDegrees: context.directionSettings.offsetDegrees,
+                order: context.directionSettings.scheme === 'custom' ? null : context.directionSettings.order,
+                mirrorSymmetry: context.mirrorSymmetry
+            } : { scheme: 'current_view', mirrorSymmetry: false },
+            directions: context.directions.map((direction, index) => ({
+                index,
+                name: direction.name,
+                angle: direction.angle,
+                angleDegrees: direction.angle * 180 / Math.PI,
+                elevationIndex: direction.elevationIndex,
+                // Index of the direction this one is a horizontal flip of; engines can flip it at runtime instead
+                mirrorOf: context.mirrors[index]
+            })),
+            camera: {
+                projection: context.projection.type,
+                preset: context.cameraPreset,
+                autoFraming: context.motionBox ? {
+                    margin: context.framing.margin,
+                    motionBounds: {
+                        min: context.motionBox.min.toArray(),
+                        max: context.motionBox.max.toArray()
+                    }
+                } : null,
+                distance: context.distance,
+                pitch: context.pitch,
+                pitchDegrees: context.pitch * 180 / Math.PI,
+                height: context.height,
+                horizontalDistance: context.horizontalDistance,
+                // Elevation rings; pitch, height and horizontalDistance above describe the first one
+                elevations: context.elevations.length > 1 ? context.elevations.map((elevation, index) => ({
+                    index,
+                    pitch: elevation.pitch,
+                    pitchDegrees: elevation.pitch * 180 / Math.PI,
+                    height: elevation.height,
+                    horizontalDistance: elevation.horizontalDistance
+                })) : null,
+                fov: context.projection.type === 'perspective' ? this.threeSetup.camera.fov : null,
+                orthographic: context.projection.type === 'orthographic' ? {
+                    frustumHeight: context.projection.frustumHeight,
+                    pixelsPerUnit: context.spriteSize / context.projection.frustumHeight
+                } : null,
+                lookAt: { x: 0, y: 0, z: 0 }
+            },
+            sprite: {
+                size: context.spriteSize,
+                supersampling: {
+                    factor: context.supersampling.factor,
+                    filter: context.supersampling.factor > 1 ? context.supersampling.filter : null
+                }
+            },
+            renderStyle: context.renderStyle,
+            shadow: {
+                mode: context.shadow.mode,
+                opacity: context.shadow.mode !== 'none' ? context.shadow.opacity : 0,
+                lightDirection: context.shadow.mode !== 'none' ? { ...CONFIG.SHADOW.LIGHT_DIRECTION } : null
+            },
+            passes: context.passes.map(pass => this.describePass(pass, context)),
+            pixelArt: context.pixelArt ? {
+                resolution: context.pixelArt.resolution,
+                upscaleFactor: context.pixelArt.upscaleFactor,
+                alphaThreshold: context.pixelArt.alphaThreshold,
+                dither: context.pixelArt.dither,
+                palette: null
+            } : null,
+            lighting: this.threeSetup.getLightingInfo(),
+            equipment: this.equipmentManager ? this.equipmentManager.getEquippedSummary() : []
+        };
     }
 
     async generateAllDirectionalSprites(context) {
+        const renderedDirections = context.mirrors.filter(mirrorOf => mirrorOf === null).length;
         const totalSprites = this.frameCalculator.calculateTotalSprites(
-            context.directions.length,
+            renderedDirections,
             context.animationFrames
         );
 
@@ -108,6 +398,7 @@ class SpriteGenerator {
 
         for (let directionIndex = 0; directionIndex < context.directions.length; directionIndex++) {
             const direction = context.directions[directionIndex];
+            if (context.mirrors[directionIndex] !== null) continue;
 
             for (let frameIndex = 0; frameIndex < context.animationFrames; frameIndex++) {
                 await this.generateSingleSprite(
@@ -127,12 +418,74 @@ class SpriteGenerator {
         }
     }
 
+    /**
+     * Fill in mirrored directions by flipping the frames of the direction they mirror
+     * @param {Object} context - Generation context
+     */
+    async generateMirroredSprites(context) {
+        const rendered = [...this.generatedSprites];
+
+        for (let directionIndex = 0; directionIndex < context.directions.length; directionIndex++) {
+            const sourceIndex = context.mirrors[directionIndex];
+            if (sourceIndex === null) continue;
+
+            const from = this.describeDirection(context.directions[sourceIndex], context);
+            const to = this.describeDirection(context.directions[directionIndex], context);
+            this.uiController.updateProgress(90, `Mirroring ${from} to ${to}...`);
+            for (const source of rendered.filter(sprite => sprite.directionIndex === sourceIndex)) {
+                this.generatedSprites.push(await this.mirrorSprite(source, directionIndex, context));
+            }
+        }
+
+        // Keep direction-then-frame order for the exporters
+        this.generatedSprites.sort((a, b) => a.directionIndex - b.directionIndex || a.frameIndex - b.frameIndex);
+    }
+
+    /**
+     * Horizontally flipped copy of a sprite, its anchors and its passes
+     * @param {Sprite} source - Rendered sprite
+     * @param {number} directionIndex - Index of the mirrored direction
+     * @param {Object} context - Generation context
+     * @returns {Promise<Sprite>}
+     */
+    async mirrorSprite(source, directionIndex, context) {
+        const sprite = new Sprite(directionIndex, source.frameIndex, context.directions[directionIndex].name, null);
+        sprite.mirrorOf = source.directionIndex;
+        sprite.elevationIndex = source.elevationIndex;
+
+        if (source.anchors) {
+            sprite.anchors = {};
+            Object.keys(source.anchors).forEach(key => {
+                sprite.anchors[key] = {
+                    x: Math.round((context.spriteSize - source.anchors[key].x) * 100) / 100,
+                    y: source.anchors[key].y
+                };
+            });
+        }
+
+        for (const pass of Object.keys(source.passes)) {
+            sprite.passes[pass] = await this.imageResampler.mirrorImage(source.passes[pass], pass === 'normal');
+        }
+
+        // Pixel art color frames are still raw pixels waiting for the shared palette
+        if (context.pixelArt) {
+            const frame = context.pixelArtFrames.find(pixelArtFrame => pixelArtFrame.sprite === source);
+            const size = context.pixelArt.resolution;
+            context.pixelArtFrames.push({ sprite, rgba: this.imageResampler.flipPixels(frame.rgba, size, size) });
+        } else {
+            sprite.data = await this.imageResampler.mirrorImage(source.data);
+        }
+
+        return sprite;
+    }
+
     async generateSingleSprite(direction, directionIndex, frameIndex, context, completedSprites, totalSprites) {
         // Update progress
         const progress = this.frameCalculator.calculateProgress(completedSprites, totalSprites);
+        const directionLabel = this.describeDirection(direction, context);
         const statusText = context.animationFrames > 1
-            ? `Rendering ${direction.name} frame ${frameIndex + 1}/${context.animationFrames}... (${completedSprites + 1}/${totalSprites})`
-            : `Rendering ${direction.name}... (${completedSprites + 1}/${totalSprites})`;
+            ? `Rendering ${directionLabel} frame ${frameIndex + 1}/${context.animationFrames}... (${completedSprites + 1}/${totalSprites})`
+            : `Rendering ${directionLabel}... (${completedSprites + 1}/${totalSprites})`;
 
         this.uiController.updateProgress(progress, statusText);
 
@@ -146,46 +499,296 @@ class SpriteGenerator {
             this.animationController.setAnimationTime(animTime);
         }
 
-        // Position camera
-        const x = Math.sin(direction.angle) * context.horizontalDistance;
-        const z = Math.cos(direction.angle) * context.horizontalDistance;
-        this.threeSetup.setCameraPosition(x, context.height, z);
+        // Position camera on the direction's elevation ring
+        const elevation = context.elevations[direction.elevationIndex || 0];
+        const x = Math.sin(direction.angle) * elevation.horizontalDistance;
+        const z = Math.cos(direction.angle) * elevation.horizontalDistance;
+        this.threeSetup.setCameraPosition(x, elevation.height, z);
         this.threeSetup.setCameraLookAt(0, 0, 0);
+        this.threeSetup.updateShadowLight();
+
+        // Baked shadows belong to the color image only; passes render without the catcher
+        this.threeSetup.setShadowCatcherVisible(context.shadow.mode === 'baked');
 
-        // Render and capture (use renderClean to exclude gizmo and helpers)
-        this.threeSetup.renderClean();
-        const dataURL = this.threeSetup.captureFrame();
+        // Render and capture (renderStyled adds the capture-only style and excludes gizmo and helpers)
+        let dataURL = null;
+        let pixelArtFrame = null;
+        if (context.pixelArt) {
+            // The palette needs every frame, so the image is filled in by applyPixelArtPalette()
+            pixelArtFrame = this.renderPixelArtFrame(() => this.threeSetup.renderStyled(), context);
+        } else {
+            dataURL = this.captureRender(() => this.threeSetup.renderStyled(context.supersampling.factor), context);
+        }
+
+        this.threeSetup.setShadowCatcherVisible(false);
 
         // Create sprite object
         const sprite = new Sprite(directionIndex, frameIndex, direction.name, dataURL);
+        sprite.elevationIndex = direction.elevationIndex;
+        sprite.anchors = this.computeAnchors(context);
+        context.passes.forEach(pass => {
+            sprite.passes[pass] = this.renderPass(pass, context);
+        });
+        if (pixelArtFrame) {
+            context.pixelArtFrames.push({ sprite, rgba: pixelArtFrame });
+        }
         this.generatedSprites.push(sprite);
     }
 
+    // Direction name for progress messages, with the ring's pitch when there are several elevations
+    describeDirection(direction, context) {
+        if (direction.elevationIndex === null) {
+            return direction.name;
+        }
+        const degrees = context.elevations[direction.elevationIndex].pitch * 180 / Math.PI;
+        return `${direction.name} @ ${Math.round(degrees * 100) / 100}°`;
+    }
+
+    /**
+     * Render at the pixel art resolution without antialiasing and harden the alpha
+     * @param {Function} render - Render call
+     * @param {Object} context - Generation context
+     * @returns {Uint8ClampedArray} RGBA at context.pixelArt.resolution
+     */
+    renderPixelArtFrame(render, context) {
+        const size = context.pixelArt.resolution;
+        const rgba = this.threeSetup.renderToPixels(render, size, size);
+        this.pixelArtProcessor.applyAlphaThreshold(rgba);
+        return rgba;
+    }
+
+    pixelArtToDataURL(rgba, context) {
+        const size = context.pixelArt.resolution;
+        const factor = context.pixelArt.upscaleFactor;
+        const upscaled = this.pixelArtProcessor.upscale(rgba, size, size, factor);
+        return this.imageResampler.pixelsToDataURL(upscaled, size * factor, size * factor);
+    }
+
+    /**
+     * Quantize every color frame to one palette (the user's, or one extracted from all frames)
+     * @param {Object} context - Generation context
+     */
+    applyPixelArtPalette(context) {
+        this.uiController.updateProgress(92, 'Applying pixel art palette...');
+
+        const frames = context.pixelArtFrames.map(frame => frame.rgba);
+        const palette = context.pixelArt.palette || this.pixelArtProcessor.extractPalette(frames);
+
+        context.pixelArtFrames.forEach(({ sprite, rgba }) => {
+            this.pixelArtProcessor.quantize(rgba, context.pixelArt.resolution, palette);
+            sprite.data = this.pixelArtToDataURL(rgba, context);
+        });
+
+        this.generationManifest.pixelArt.palette = palette.map(color =>
+            '#' + color.map(channel => channel.toString(16).padStart(2, '0')).join('')
+        );
+    }
+
+    /**
+     * Re-render the current pose and camera for an extra pass, aligned pixel-for-pixel with the color sprite
+     * @param {string} pass - Key of CONFIG.RENDER_PASSES
+     * @param {Object} context - Generation context
+     * @returns {string} PNG data URL
+     */
+    renderPass(pass, context) {
+        let render;
+        if (pass === 'shadow') {
+            render = () => this.threeSetup.renderShadowLayer();
+        } else if (pass === 'mask') {
+            // Each mesh gets its own tag color, so one override material won't do
+            render = () => this.threeSetup.renderWithMaterialSwap((mesh, material, index) =>
+                this.recolorMask.getMaskMaterial(mesh, material, index)
+            );
+        } else {
+            render = () => this.threeSetup.renderWithOverrideMaterial(this.passMaterials.get(pass));
+        }
+
+        // Pixel art passes get the same resolution, hard alpha and upscale, but keep their own colors
+        if (context.pixelArt) {
+            return this.pixelArtToDataURL(this.renderPixelArtFrame(render, context), context);
+        }
+
+        return this.captureRender(render, context);
+    }
+
+    /**
+     * Run a render call and encode the result at the sprite size,
+     * rendering larger and downsampling when supersampling is on
+     * @param {Function} render - Render call
+     * @param {Object} context - Generation context
+     * @returns {string} PNG data URL
+     */
+    captureRender(render, context) {
+        const { factor, filter } = context.supersampling;
+        if (factor === 1) {
+            render();
+            return this.threeSetup.captureFrame();
+        }
+
+        const size = context.spriteSize;
+        const rgba = this.threeSetup.renderToPixels(render, size * factor, size * factor);
+        const pixels = this.imageResampler.downscale(rgba, size * factor, size * factor, size, size, filter);
+        return this.imageResampler.pixelsToDataURL(pixels, size, size);
+    }
+
+    /**
+     * View-space depth range covering the model from every direction
+     * @param {THREE.Box3} modelBox - Model bounds
+     * @param {number} distance - Camera distance from the look-at point
+     * @returns {Object} {near, far}
+     */
+    computeDepthRange(modelBox, distance) {
+        const sphere = modelBox.getBoundingSphere(new THREE.Sphere());
+        const reach = sphere.center.length() + sphere.radius * CONFIG.RENDER_PASSES.depth.RANGE_MARGIN;
+
+        return {
+            near: Math.max(CONFIG.CAMERA.NEAR, distance - reach),
+            far: distance + reach
+        };
+    }
+
+    // How a pass image is encoded, for the manifest
+    describePass(pass, context) {
+        const description = { name: pass, suffix: CONFIG.RENDER_PASSES[pass].SUFFIX };
+        if (pass === 'normal') {
+            description.space = 'view';
+            description.encoding = 'rgb = normal * 0.5 + 0.5 (x right, y up, z towards the camera)';
+        } else if (pass === 'depth') {
+            description.space = 'view';
+            description.encoding = 'gray = (viewDepth - near) / (far - near), black = near, white = far';
+            description.near = context.depthRange.near;
+            description.far = context.depthRange.far;
+        } else if (pass === 'shadow') {
+            description.encoding = 'black, alpha = shadow strength';
+            description.opacity = context.shadow.opacity;
+        } else if (pass === 'mask') {
+            description.channels = Object.keys(CONFIG.RENDER_PASSES.mask.CHANNELS);
+            description.assignments = this.recolorMask.getAssignments();
+        }
+        return description;
+    }
+
+    /**
+     * Find the object whose motion defines the sprite anchor:
+     * the hips bone, else the skeleton's root bone, else the model itself
+     * @returns {THREE.Object3D}
+     */
+    findAnchorObject() {
+        const model = this.threeSetup.getLoadedModel();
+
+        let rootBone = null;
+        model.traverse((child) => {
+            if (!rootBone && child.isBone && !(child.parent && child.parent.isBone)) {
+                rootBone = child;
+            }
+        });
+
+        if (!rootBone) {
+            return model;
+        }
+
+        // Quiet name match: rigs without a hips bone are expected and just use the root bone
+        const anchorName = CONFIG.SPRITE.ANCHOR_BONE.toLowerCase();
+        let hips = null;
+        model.traverse((child) => {
+            if (!hips && child.isBone && child.name.toLowerCase().replace(/^mixamorig:?/, '') === anchorName) {
+                hips = child;
+            }
+        });
+        return hips || rootBone;
+    }
+
+    /**
+     * Project the anchor object and the ground point beneath it into sprite pixels
+     * @param {Object} context - Generation context
+     * @returns {Object} {root: {x, y}, ground: {x, y}} measured from the top-left corner
+     */
+    computeAnchors(context) {
+        const camera = this.threeSetup.camera;
+        camera.updateMatrixWorld();
+        context.anchorObject.updateWorldMatrix(true, false);
+
+        const rootWorld = new THREE.Vector3();
+        context.anchorObject.getWorldPosition(rootWorld);
+        const groundWorld = new THREE.Vector3(rootWorld.x, context.groundY, rootWorld.z);
+
+        const toPixels = (point) => {
+            const ndc = point.clone().project(camera);
+            return {
+                x: Math.round((ndc.x + 1) / 2 * context.spriteSize * 100) / 100,
+                y: Math.round((1 - ndc.y) / 2 * context.spriteSize * 100) / 100
+            };
+        };
+
+        return {
+            root: toPixels(rootWorld),
+            ground: toPixels(groundWorld)
+        };
+    }
+
     restoreRenderingState(context) {
         this.uiController.updateProgress(95, 'Restoring view...');
+        this.restoreView(context);
+        this.uiController.updateProgress(100, 'Complete!');
+    }
 
-        // Restore renderer size
-        this.threeSetup.setRendererSize(context.originalSize.width, context.originalSize.height);
-        this.threeSetup.onWindowResize();
+    /**
+     * Undo the capture-only renderer, camera and scene changes
+     * @param {Object|null} saved - {originalCameraPosition, originalSize, originalPixelRatio, originalAspect},
+     *   null when generation failed before anything was changed
+     */
+    restoreView(saved) {
+        if (saved) {
+            // Restore renderer size
+            this.threeSetup.setPixelRatio(saved.originalPixelRatio);
+            this.threeSetup.setRendererSize(saved.originalSize.width, saved.originalSize.height);
+            this.threeSetup.onWindowResize();
+        }
 
         // Restore camera
-        this.threeSetup.setCameraPosition(
-            context.originalCameraPosition.x,
-            context.originalCameraPosition.y,
-            context.originalCameraPosition.z
-        );
-        this.threeSetup.camera.aspect = context.originalAspect;
-        this.threeSetup.camera.updateProjectionMatrix();
+        this.threeSetup.disableOrthographicCamera();
+        if (saved) {
+            this.threeSetup.setCameraPosition(
+                saved.originalCameraPosition.x,
+                saved.originalCameraPosition.y,
+                saved.originalCameraPosition.z
+            );
+            this.threeSetup.camera.aspect = saved.originalAspect;
+            this.threeSetup.camera.updateProjectionMatrix();
+        }
 
-        // Restore grid and background
+        // Restore materials, shadows, grid and background
+        this.threeSetup.clearRenderStyle();
+        this.threeSetup.disableShadowCatcher();
         this.threeSetup.showGrid();
         this.threeSetup.setOpaqueBackground();
 
-        this.uiController.updateProgress(100, 'Complete!');
+        this.savedViewState = null;
+    }
+
+    /**
+     * Flag sprites cut off at the border or left empty, for the UI report and the manifest
+     */
+    async inspectFrames() {
+        this.uiController.updateProgress(93, 'Checking frames for clipping...');
+        this.frameReport = await this.frameInspector.inspect(this.generatedSprites);
+
+        const describe = sprite => ({
+            directionIndex: sprite.directionIndex,
+            direction: sprite.directionName,
+            elevationIndex: sprite.elevationIndex,
+            frameIndex: sprite.frameIndex
+        });
+        this.generationManifest.inspection = {
+            checked: this.frameReport.checked,
+            clipped: this.frameReport.clipped.map(({ sprite, edges }) => ({ ...describe(sprite), edges })),
+            empty: this.frameReport.empty.map(describe)
+        };
     }
 
     displayResults() {
         this.uiController.displaySprites(this.generatedSprites);
+        this.uiController.displayFrameReport(this.frameReport);
         this.uiController.enableDownloadButton();
         this.uiController.showSuccessMessage();
 
@@ -198,8 +801,7 @@ class SpriteGenerator {
     cleanup() {
         // Restore rendering state if possible
         try {
-            this.threeSetup.showGrid();
-            this.threeSetup.setOpaqueBackground();
+            this.restoreView(this.savedViewState);
             this.uiController.hideLoading();
         } catch (e) {
             console.error('Error during cleanup:', e);
@@ -214,7 +816,22 @@ class SpriteGenerator {
         return this.generatedSprites;
     }
 
+    getGenerationSettings() {
+        return this.generationSettings;
+    }
+
+    getGenerationManifest() {
+        return this.generationManifest;
+    }
+
+    getFrameReport() {
+        return this.frameReport;
+    }
+
     clearSprites() {
         this.generatedSprites = [];
+        this.frameReport = null;
+        this.generationSettings = null;
+        this.generationManifest = null;
     }
 }
@@ -0,0 +1,136 @@
+// Sprite Sheet Builder - Composes generated sprites into a single sheet image
+class SpriteSheetBuilder {
+    /**
+     * Build a grid sheet with one row per direction and one column per frame
+     * @param {Sprite[]} sprites - Generated sprites
+     * @param {string} pass - Optional render pass to compose instead of the color images
+     * @returns {Promise<Object>} {canvas, width, height, frameWidth, frameHeight, rows, columns, frames}
+     */
+    async buildGridSheet(sprites, pass = null) {
+        if (!sprites || sprites.length === 0) {
+            throw new Error('No sprites to pack');
+        }
+
+        const images = await Promise.all(sprites.map(sprite => this.loadImage(pass ? sprite.passes[pass] : sprite.data)));
+
+        // All sprites of one generation run share the same size
+        const frameWidth = images[0].width;
+        const frameHeight = images[0].height;
+
+        const rows = Math.max(...sprites.map(sprite => sprite.directionIndex || 0)) + 1;
+        const columns = Math.max(...sprites.map(sprite => this.getFrameIndex(sprite))) + 1;
+
+        // Oversized canvases don't fail, they just encode to an empty or broken PNG
+        const width = columns * frameWidth;
+        const height = rows * frameHeight;
+        const maxSize = CONFIG.EXPORT.MAX_CANVAS_SIZE;
+        const maxArea = CONFIG.EXPORT.MAX_CANVAS_AREA;
+        if (width > maxSize || height > maxSize || width * height > maxArea) {
+            throw new Error(`Sprite sheet would be ${width}x${height}px, over the canvas limit of ${maxSize}px ` +
+                `per side and ${maxArea} pixels in total. ` +
+                'Use fewer directions or frames, a smaller sprite size, or an atlas export');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        const frames = sprites.map((sprite, index) => {
+            const x = this.getFrameIndex(sprite) * frameWidth;
+            const y = (sprite.directionIndex || 0) * frameHeight;
+            context.drawImage(images[index], x, y);
+
+            return { sprite, x, y, w: frameWidth, h: frameHeight };
+        });
+
+        return {
+            canvas,
+            width: canvas.width,
+            height: canvas.height,
+            frameWidth,
+            frameHeight,
+            rows,
+            columns,
+            frames
+        };
+    }
+
+    /**
+     * Build JSON metadata describing each frame rect of a grid sheet
+     * @param {Object} sheet - Result of buildGridSheet()
+     * @param {string} imageFileName - File name of the sheet image
+     * @param {Function} getPivot - Optional (sprite, w, h) => normalized pivot, origin bottom-left
+     * @returns {Object} Metadata object
+     */
+    buildGridMetadata(sheet, imageFileName, getPivot = null) {
+        return {
+            meta: {
+                image: imageFileName,
+                size: { w: sheet.width, h: sheet.height },
+                frameSize: { w: sheet.frameWidth, h: sheet.frameHeight },
+                rows: sheet.rows,
+                columns: sheet.columns
+            },
+            frames: sheet.frames.map(frame => {
+                const entry = {
+                    name: frame.sprite.fileName,
+                    direction: frame.sprite.directionName,
+                    directionIndex: frame.sprite.directionIndex || 0,
+                    frameIndex: this.getFrameIndex(frame.sprite),
+                    x: frame.x,
+                    y: frame.y,
+                    w: frame.w,
+                    h: frame.h
+                };
+
+                // Pivot in pixels from the frame's top-left corner
+                if (getPivot) {
+                    const pivot = getPivot(frame.sprite, frame.w, frame.h);
+                    entry.pivot = { x: pivot.x * frame.w, y: (1 - pivot.y) * frame.h };
+                }
+                if (frame.sprite.anchors) {
+                    entry.anchors = frame.sprite.anchors;
+                }
+
+                return entry;
+            })
+        };
+    }
+
+    /**
+     * Get base64 PNG data of a canvas (without the data URL prefix)
+     * @param {HTMLCanvasElement} canvas
+     * @returns {string}
+     */
+    canvasToBase64(canvas) {
+        return canvas.toDataURL('image/png').split(',')[1];
+    }
+
+    /**
+     * Read the RGBA pixels of a decoded image
+     * @param {HTMLImageElement} image
+     * @returns {ImageData}
+     */
+    getImageData(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, image.width, image.height);
+    }
+
+    getFrameIndex(sprite) {
+        return (sprite.frameIndex !== undefined && sprite.frameIndex !== null) ? sprite.frameIndex : 0;
+    }
+
+    loadImage(dataURL) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to decode sprite image'));
+            img.src = dataURL;
+        });
+    }
+}
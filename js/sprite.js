@@ -5,21 +5,79 @@ class Sprite {
         this.frameIndex = frameIndex;
         this.directionName = directionName;
         this.data = dataURL;
+        this.customFileName = null;
+        // Per-frame pixel anchors from the top-left corner: {root: {x, y}, ground: {x, y}}
+        this.anchors = null;
+        // Extra render pass images keyed by CONFIG.RENDER_PASSES name, e.g. {normal: dataURL}
+        this.passes = {};
+        // Direction index of the sprite this one is a horizontal flip of (mirror-symmetric generation)
+        this.mirrorOf = null;
+        // Elevation ring index in multi-elevation runs, null when there is a single pitch
+        this.elevationIndex = null;
     }
 
     get fileName() {
-        const sanitizedName = this._sanitizeName(this.directionName);
+        if (this.customFileName) {
+            return this.customFileName;
+        }
+
+        const sanitizedName = Sprite.sanitizeName(this.directionName) + this.elevationSuffix;
         if (this.frameIndex !== undefined && this.frameIndex !== null) {
             return `${this.directionIndex}_${this.frameIndex}_${sanitizedName}.png`;
         }
         return `${this.directionIndex}_${sanitizedName}.png`;
     }
 
+    // Copy sharing this sprite's images under another name, e.g. one export's FileNameTemplate name
+    withFileName(fileName) {
+        const copy = this.withImage(this.data);
+        copy.passes = { ...this.passes };
+        copy.customFileName = fileName;
+        return copy;
+    }
+
+    // Copy of this sprite with a different image, e.g. a resized variant (anchors scale with it)
+    withImage(dataURL, scale = 1) {
+        const copy = new Sprite(this.directionIndex, this.frameIndex, this.directionName, dataURL);
+        copy.customFileName = this.customFileName;
+        copy.mirrorOf = this.mirrorOf;
+        copy.elevationIndex = this.elevationIndex;
+
+        if (this.anchors) {
+            copy.anchors = {};
+            Object.keys(this.anchors).forEach(key => {
+                copy.anchors[key] = {
+                    x: Math.round(this.anchors[key].x * scale * 100) / 100,
+                    y: Math.round(this.anchors[key].y * scale * 100) / 100
+                };
+            });
+        }
+
+        return copy;
+    }
+
     get displayName() {
+        const name = this.directionName + this.elevationSuffix;
         if (this.frameIndex !== undefined && this.frameIndex !== null) {
-            return `${this.directionName}_frame${this.frameIndex}`;
+            return `${name}_frame${this.frameIndex}`;
         }
-        return this.directionName;
+        return name;
+    }
+
+    // Direction name usable as an identifier (e.g. 'south_east', or 'south_east_e1' on elevation ring 1)
+    get directionKey() {
+        return Sprite.toKey(this.directionName) + this.elevationSuffix;
+    }
+
+    // Per-direction animation name, e.g. 'walk_south_east', or just 'south_east' without an animation
+    getAnimationKey(animationName = null) {
+        const prefix = animationName ? Sprite.toKey(animationName) : '';
+        return prefix ? `${prefix}_${this.directionKey}` : this.directionKey;
+    }
+
+    // '_e<index>' in multi-elevation runs so each ring's directions stay distinct
+    get elevationSuffix() {
+        return this.elevationIndex !== null && this.elevationIndex !== undefined ? `_e${this.elevationIndex}` : '';
     }
 
     // Legacy compatibility - some code expects 'name' property
@@ -27,10 +85,42 @@ class Sprite {
         return this.displayName;
     }
 
-    _sanitizeName(name) {
+    // Direction name as used in file names: lowercase, spaces become '_'
+    static sanitizeName(name) {
         return name.toLowerCase().replace(/\s+/g, '_');
     }
 
+    // Insert a render pass suffix before the extension, e.g. '0_0_south.png' -> '0_0_south_n.png'
+    static toPassFileName(fileName, pass) {
+        return fileName.replace(/(\.png)?$/, `${CONFIG.RENDER_PASSES[pass].SUFFIX}.png`);
+    }
+
+    // Lowercase identifier with runs of other characters collapsed to '_'
+    static toKey(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Split items into one list per direction, ordered by direction index, each ordered by frame index
+     * @param {Array} items - Sprites, or objects holding one (e.g. atlas frames)
+     * @param {Function} getSprite - Optional item => Sprite
+     * @returns {Array<Array>}
+     */
+    static groupByDirection(items, getSprite = item => item) {
+        const byDirection = new Map();
+        items.forEach(item => {
+            const directionIndex = getSprite(item).directionIndex;
+            if (!byDirection.has(directionIndex)) {
+                byDirection.set(directionIndex, []);
+            }
+            byDirection.get(directionIndex).push(item);
+        });
+
+        return [...byDirection.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([, group]) => group.sort((a, b) => (getSprite(a).frameIndex || 0) - (getSprite(b).frameIndex || 0)));
+    }
+
     // For backwards compatibility with old sprite format
     static fromLegacyObject(obj) {
         return new Sprite(
@@ -3,12 +3,29 @@ class ThreeSetup {
     constructor() {
         this.scene = null;
         this.camera = null;
+        this.perspectiveCamera = null; // Viewport camera while an orthographic capture camera is active
         this.renderer = null;
         this.controls = null;
         this.clock = new THREE.Clock();
         this.loadedModel = null;
         this.gridHelper = null;
         this.cameraLight = null; // Camera-attached light for better model visibility
+        this.ambientLight = null;
+        this.directionalLight = null;
+        this.backLight = null;
+
+        // Capture-only render style (toon materials, outline); see setRenderStyle()
+        this.renderStyle = null;
+        this.styledMaterials = new Map(); // mesh -> original material
+        this.toonGradientMap = null;
+        this.outlineMaterial = null;
+
+        // Capture-only ground shadow; see enableShadowCatcher()
+        this.shadowCatcher = null;
+        this.shadowLight = null;
+        this.shadowCasters = new Map(); // mesh -> original castShadow
+        this.directionalLightCastShadow = null; // Main light's castShadow while the catcher exists
+
         this.autoRotate = false; // Disable auto-rotation by default when controls are active
 
         // Orientation gizmo (like Blender's ViewCube)
@@ -256,28 +273,28 @@ class ThreeSetup {
 
     setupLighting() {
         // Ambient light
-        const ambientLight = new THREE.AmbientLight(
+        this.ambientLight = new THREE.AmbientLight(
             CONFIG.LIGHTING.AMBIENT_COLOR,
             CONFIG.LIGHTING.AMBIENT_INTENSITY
         );
-        this.scene.add(ambientLight);
+        this.scene.add(this.ambientLight);
 
         // Main directional light
-        const directionalLight = new THREE.DirectionalLight(
+        this.directionalLight = new THREE.DirectionalLight(
             CONFIG.LIGHTING.DIRECTIONAL_COLOR,
             CONFIG.LIGHTING.DIRECTIONAL_INTENSITY
         );
-        directionalLight.position.set(5, 10, 5);
-        directionalLight.castShadow = true;
-        this.scene.add(directionalLight);
+        this.directionalLight.position.set(5, 10, 5);
+        this.directionalLight.castShadow = true;
+        this.scene.add(this.directionalLight);
 
         // Back light
-        const backLight = new THREE.DirectionalLight(
+        this.backLight = new THREE.DirectionalLight(
             CONFIG.LIGHTING.DIRECTIONAL_COLOR,
             CONFIG.LIGHTING.BACK_LIGHT_INTENSITY
         );
-        backLight.position.set(-5, 5, -5);
-        this.scene.add(backLight);
+        this.backLight.position.set(-5, 5, -5);
+        this.scene.add(this.backLight);
     }
 
     onWindowResize() {
@@ -359,6 +376,374 @@ class ThreeSetup {
         this.renderer.render(this.scene, this.camera);
     }
 
+    // Render the main scene with every mesh drawn in one material (e.g. a normal pass)
+    renderWithOverrideMaterial(material) {
+        const previousOverride = this.scene.overrideMaterial;
+        this.scene.overrideMaterial = material;
+        this.renderer.render(this.scene, this.camera);
+        this.scene.overrideMaterial = previousOverride;
+    }
+
+    /**
+     * Render the main scene with per-mesh replacement materials (e.g. a recolor mask), then restore
+     * @param {Function} resolveMaterial - (mesh, material, index) => replacement material
+     */
+    renderWithMaterialSwap(resolveMaterial) {
+        const swapped = [];
+        this.scene.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+
+            swapped.push({ mesh: child, material: child.material });
+            child.material = Array.isArray(child.material)
+                ? child.material.map((material, index) => resolveMaterial(child, material, index))
+                : resolveMaterial(child, child.material, 0);
+        });
+
+        this.renderer.render(this.scene, this.camera);
+
+        swapped.forEach(({ mesh, material }) => {
+            mesh.material = material;
+        });
+    }
+
+    /**
+     * Apply a render style to the loaded model until clearRenderStyle()
+     * Toon materials are swapped in per mesh, keeping each material's color and texture
+     * @param {Object} style - {style: 'standard'|'toon', toonSteps, outline: {width, color}|null}
+     */
+    setRenderStyle(style) {
+        this.clearRenderStyle();
+        this.renderStyle = style;
+
+        if (style.style === 'toon' && this.loadedModel) {
+            this.toonGradientMap = this.createToonGradientMap(style.toonSteps);
+            this.loadedModel.traverse((child) => {
+                if (!child.isMesh || !child.material) return;
+
+                this.styledMaterials.set(child, child.material);
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(material => this.createToonMaterial(material))
+                    : this.createToonMaterial(child.material);
+            });
+        }
+
+        if (style.outline) {
+            this.outlineMaterial = this.createOutlineMaterial(style.outline);
+        }
+    }
+
+    // Put the loaded materials back and free the style's materials
+    clearRenderStyle() {
+        this.styledMaterials.forEach((material, mesh) => {
+            const toonMaterials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            toonMaterials.forEach(toonMaterial => toonMaterial.dispose());
+            mesh.material = material;
+        });
+        this.styledMaterials.clear();
+
+        if (this.toonGradientMap) {
+            this.toonGradientMap.dispose();
+            this.toonGradientMap = null;
+        }
+        if (this.outlineMaterial) {
+            this.outlineMaterial.dispose();
+            this.outlineMaterial = null;
+        }
+        this.renderStyle = null;
+    }
+
+    /**
+     * Render the main scene in the current render style (plain renderClean() without one)
+     * @param {number} pixelScale - Render pixels per output pixel when supersampling, so outlines keep their width
+     */
+    renderStyled(pixelScale = 1) {
+        if (!this.outlineMaterial) {
+            this.renderClean();
+            return;
+        }
+
+        // Outline width is in output pixels, so it needs the size of whatever is being drawn to
+        const target = this.renderer.getRenderTarget();
+        const resolution = target
+            ? new THREE.Vector2(target.width, target.height)
+            : this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.outlineMaterial.uniforms.resolution.value.copy(resolution.divideScalar(pixelScale));
+
+        // Inverted hull first, then the model on top sharing its depth buffer
+        const autoClear = this.renderer.autoClear;
+        this.renderer.clear();
+        this.renderer.autoClear = false;
+        this.renderModelOutline();
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.autoClear = autoClear;
+    }
+
+    // Outline hull of the model and its equipment only: the shadow catcher, grid and
+    // other helpers are hidden for this pass (lights and cameras stay so no shader recompiles)
+    renderModelOutline() {
+        const hidden = this.scene.children.filter(child =>
+            child !== this.loadedModel && child.visible && !child.isLight && !child.isCamera
+        );
+        hidden.forEach(child => { child.visible = false; });
+        this.renderWithOverrideMaterial(this.outlineMaterial);
+        hidden.forEach(child => { child.visible = true; });
+    }
+
+    createToonMaterial(source) {
+        return new THREE.MeshToonMaterial({
+            name: source.name,
+            color: source.color ? source.color.clone() : new THREE.Color(0xffffff),
+            map: source.map || null,
+            gradientMap: this.toonGradientMap,
+            skinning: source.skinning,
+            morphTargets: source.morphTargets,
+            vertexColors: source.vertexColors,
+            transparent: source.transparent,
+            opacity: source.opacity,
+            alphaTest: source.alphaTest,
+            side: source.side
+        });
+    }
+
+    // One texel per shading step; nearest filtering gives hard bands
+    createToonGradientMap(steps) {
+        const data = new Uint8Array(steps);
+        for (let i = 0; i < steps; i++) {
+            data[i] = Math.round(255 * (i + 1) / steps);
+        }
+
+        const texture = new THREE.DataTexture(data, steps, 1, THREE.LuminanceFormat);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.generateMipmaps = false;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Inverted hull: back faces pushed out along their normals by a fixed number of screen pixels
+     * @param {Object} outline - {width (px), color (hex string)}
+     * @returns {THREE.ShaderMaterial}
+     */
+    createOutlineMaterial(outline) {
+        return new THREE.ShaderMaterial({
+            skinning: true,
+            side: THREE.BackSide,
+            uniforms: {
+                outlineWidth: { value: outline.width },
+                outlineColor: { value: new THREE.Color(outline.color) },
+                resolution: { value: new THREE.Vector2(1, 1) }
+            },
+            vertexShader: `
+                #include <common>
+                #include <skinning_pars_vertex>
+                uniform float outlineWidth;
+                uniform vec2 resolution;
+
+                void main() {
+                    #include <beginnormal_vertex>
+                    #include <skinbase_vertex>
+                    #include <skinnormal_vertex>
+                    #include <begin_vertex>
+                    #include <skinning_vertex>
+                    #include <project_vertex>
+
+                    vec4 clipNormal = projectionMatrix * vec4(normalize(normalMatrix * objectNormal), 0.0);
+                    if (length(clipNormal.xy) > 0.0) {
+                        gl_Position.xy += normalize(clipNormal.xy) * outlineWidth * 2.0 / resolution * gl_Position.w;
+                    }
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 outlineColor;
+
+                void main() {
+                    gl_FragColor = vec4(outlineColor, 1.0);
+                }
+            `
+        });
+    }
+
+    /**
+     * Add an invisible ground plane that only shows shadows, lit by a shadow-only light
+     * The light adds no color (intensity 0) so the model looks the same as without it
+     * @param {THREE.Box3} modelBox - Model bounds; the plane sits at their bottom
+     * @param {number} opacity - Darkness of the shadow
+     */
+    enableShadowCatcher(modelBox, opacity) {
+        this.disableShadowCatcher();
+
+        const sphere = modelBox.getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, 0.01);
+        const size = radius * CONFIG.SHADOW.CATCHER_SIZE;
+
+        this.shadowCatcher = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.ShadowMaterial({ opacity })
+        );
+        this.shadowCatcher.rotation.x = -Math.PI / 2;
+        this.shadowCatcher.position.set(sphere.center.x, modelBox.min.y, sphere.center.z);
+        this.shadowCatcher.receiveShadow = true;
+        this.shadowCatcher.visible = false;
+        this.scene.add(this.shadowCatcher);
+
+        this.shadowLight = new THREE.DirectionalLight(0xffffff, 0);
+        this.shadowLight.castShadow = true;
+        this.shadowLight.shadow.mapSize.set(CONFIG.SHADOW.MAP_SIZE, CONFIG.SHADOW.MAP_SIZE);
+        this.shadowLight.shadow.radius = CONFIG.SHADOW.SOFTNESS;
+        const shadowCamera = this.shadowLight.shadow.camera;
+        shadowCamera.left = -size / 2;
+        shadowCamera.right = size / 2;
+        shadowCamera.top = size / 2;
+        shadowCamera.bottom = -size / 2;
+        shadowCamera.near = 0.01;
+        shadowCamera.far = radius * 8;
+        shadowCamera.updateProjectionMatrix();
+        this.shadowLight.userData.distance = radius * 4;
+        this.shadowLight.target.position.copy(sphere.center);
+        this.scene.add(this.shadowLight);
+        this.scene.add(this.shadowLight.target);
+
+        // The world-fixed main light would add a second shadow that swings around with every direction
+        if (this.directionalLight) {
+            this.directionalLightCastShadow = this.directionalLight.castShadow;
+            this.directionalLight.castShadow = false;
+        }
+
+        // Model meshes cast only while the catcher exists
+        this.loadedModel.traverse((child) => {
+            if (!child.isMesh) return;
+            this.shadowCasters.set(child, child.castShadow);
+            child.castShadow = true;
+        });
+    }
+
+    disableShadowCatcher() {
+        if (this.shadowCatcher) {
+            this.scene.remove(this.shadowCatcher);
+            this.shadowCatcher.geometry.dispose();
+            this.shadowCatcher.material.dispose();
+            this.shadowCatcher = null;
+        }
+        if (this.shadowLight) {
+            this.scene.remove(this.shadowLight);
+            this.scene.remove(this.shadowLight.target);
+            this.shadowLight.dispose();
+            this.shadowLight = null;
+        }
+
+        this.shadowCasters.forEach((castShadow, mesh) => {
+            mesh.castShadow = castShadow;
+        });
+        this.shadowCasters.clear();
+
+        if (this.directionalLight && this.directionalLightCastShadow !== null) {
+            this.directionalLight.castShadow = this.directionalLightCastShadow;
+            this.directionalLightCastShadow = null;
+        }
+    }
+
+    setShadowCatcherVisible(visible) {
+        if (this.shadowCatcher) {
+            this.shadowCatcher.visible = visible;
+        }
+    }
+
+    // Keep the shadow light at a fixed angle to the camera so every direction's shadow falls the same way
+    updateShadowLight() {
+        if (!this.shadowLight) return;
+
+        const target = this.shadowLight.target.position;
+        const direction = CONFIG.SHADOW.LIGHT_DIRECTION;
+        const yaw = Math.atan2(this.camera.position.x - target.x, this.camera.position.z - target.z);
+        const offset = new THREE.Vector3(direction.x, direction.y, direction.z)
+            .normalize()
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), yaw)
+            .multiplyScalar(this.shadowLight.userData.distance);
+
+        this.shadowLight.position.copy(target).add(offset);
+    }
+
+    /**
+     * Render only the ground shadow: the model still casts it but draws nothing itself,
+     * so the part of the shadow behind the model is kept too
+     */
+    renderShadowLayer() {
+        const hidden = new THREE.MeshBasicMaterial({ colorWrite: false, depthWrite: false });
+        const hiddenSkinned = new THREE.MeshBasicMaterial({ colorWrite: false, depthWrite: false, skinning: true });
+        const wasVisible = this.shadowCatcher ? this.shadowCatcher.visible : false;
+
+        this.setShadowCatcherVisible(true);
+        this.renderWithMaterialSwap((mesh, material) => {
+            if (mesh === this.shadowCatcher) return material;
+            return mesh.isSkinnedMesh ? hiddenSkinned : hidden;
+        });
+        this.setShadowCatcherVisible(wasVisible);
+
+        hidden.dispose();
+        hiddenSkinned.dispose();
+    }
+
+    /**
+     * Capture through an orthographic camera until disableOrthographicCamera()
+     * It takes over the current camera's pose and the camera light; the viewport camera is kept aside
+     * @param {number} frustumHeight - Visible height in world units (the frustum is square)
+     * @param {number} near
+     * @param {number} far
+     */
+    enableOrthographicCamera(frustumHeight, near, far) {
+        this.disableOrthographicCamera();
+
+        const half = frustumHeight / 2;
+        const camera = new THREE.OrthographicCamera(-half, half, half, -half, near, far);
+        camera.position.copy(this.camera.position);
+        camera.quaternion.copy(this.camera.quaternion);
+        camera.add(this.cameraLight);
+        this.scene.add(camera);
+
+        this.perspectiveCamera = this.camera;
+        this.camera = camera;
+    }
+
+    // Switch back to the viewport's perspective camera
+    disableOrthographicCamera() {
+        if (!this.perspectiveCamera) return;
+
+        this.perspectiveCamera.add(this.cameraLight);
+        this.scene.remove(this.camera);
+        this.camera = this.perspectiveCamera;
+        this.perspectiveCamera = null;
+    }
+
+    /**
+     * Run a render call into an offscreen target and read back its pixels
+     * Offscreen targets are not multisampled, so edges stay hard
+     * @param {Function} render - Render call, e.g. () => this.renderClean()
+     * @param {number} width
+     * @param {number} height
+     * @returns {Uint8ClampedArray} RGBA, rows top to bottom
+     */
+    renderToPixels(render, width, height) {
+        const target = new THREE.WebGLRenderTarget(width, height, { format: THREE.RGBAFormat });
+        const previousTarget = this.renderer.getRenderTarget();
+
+        this.renderer.setRenderTarget(target);
+        render();
+
+        const pixels = new Uint8Array(width * height * 4);
+        this.renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        this.renderer.setRenderTarget(previousTarget);
+        target.dispose();
+
+        // WebGL rows start at the bottom
+        const rowSize = width * 4;
+        const flipped = new Uint8ClampedArray(pixels.length);
+        for (let y = 0; y < height; y++) {
+            flipped.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), (height - 1 - y) * rowSize);
+        }
+        return flipped;
+    }
+
     getDelta() {
         return this.clock.getDelta();
     }
@@ -372,6 +757,14 @@ class ThreeSetup {
         this.renderer.setSize(width, height);
     }
 
+    setPixelRatio(ratio) {
+        this.renderer.setPixelRatio(ratio);
+    }
+
+    getPixelRatio() {
+        return this.renderer.getPixelRatio();
+    }
+
     getRendererSize() {
         return {
             width: this.renderer.domElement.width,
@@ -415,6 +808,26 @@ class ThreeSetup {
         return Math.atan2(dy, horizontalDistance);
     }
 
+    /**
+     * Orbit the viewport camera to an exact pitch, keeping its distance and yaw around the target
+     * @param {number} pitch - Radians above the horizontal plane
+     */
+    setCameraPitch(pitch) {
+        const target = this.controls ? this.controls.target : new THREE.Vector3(0, 0, 0);
+        const distance = this.getCurrentCameraDistance();
+        const yaw = this.getCurrentCameraAngle();
+
+        this.camera.position.set(
+            target.x + Math.sin(yaw) * Math.cos(pitch) * distance,
+            target.y + Math.sin(pitch) * distance,
+            target.z + Math.cos(yaw) * Math.cos(pitch) * distance
+        );
+        this.camera.lookAt(target);
+        if (this.controls) {
+            this.controls.update();
+        }
+    }
+
     // Get camera yaw angle (horizontal angle around model)
     // Returns angle in radians (0 = looking from +Z, clockwise from above)
     getCurrentCameraAngle() {
@@ -495,6 +908,17 @@ class ThreeSetup {
         }
     }
 
+    // Current light intensities (for export metadata)
+    getLightingInfo() {
+        const intensity = (light) => (light ? light.intensity : null);
+        return {
+            cameraLight: intensity(this.cameraLight),
+            ambient: intensity(this.ambientLight),
+            directional: intensity(this.directionalLight),
+            backLight: intensity(this.backLight)
+        };
+    }
+
     // Disable auto rotation when using controls
     disableAutoRotation() {
         this.autoRotate = false;
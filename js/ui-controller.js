@@ -13,9 +13,22 @@ class UIController {
             downloadBtn: document.getElementById('downloadBtn'),
             successMessage: document.getElementById('successMessage'),
             spritePreview: document.getElementById('spritePreview'),
+            frameReport: document.getElementById('frameReport'),
             animationSelect: document.getElementById('animationSelect'),
             animationTime: document.getElementById('animationTime'),
             timeValue: document.getElementById('timeValue'),
+            cameraPreset: document.getElementById('cameraPreset'),
+            autoFraming: document.getElementById('autoFraming'),
+            framingSettings: document.getElementById('framingSettings'),
+            framingMargin: document.getElementById('framingMargin'),
+            elevations: document.getElementById('elevations'),
+            cameraProjection: document.getElementById('cameraProjection'),
+            orthoSettings: document.getElementById('orthoSettings'),
+            orthoSizeMode: document.getElementById('orthoSizeMode'),
+            orthoHeightSettings: document.getElementById('orthoHeightSettings'),
+            orthoHeight: document.getElementById('orthoHeight'),
+            orthoPpuSettings: document.getElementById('orthoPpuSettings'),
+            orthoPixelsPerUnit: document.getElementById('orthoPixelsPerUnit'),
             cameraDistance: document.getElementById('cameraDistance'),
             distanceValue: document.getElementById('distanceValue'),
             cameraHeight: document.getElementById('cameraHeight'),
@@ -27,12 +40,55 @@ class UIController {
             modalImage: document.getElementById('modalImage'),
             modalCaption: document.getElementById('modalCaption'),
             modalClose: document.getElementById('modalClose'),
-            directionCount: document.getElementById('directionCount'),
+            directionSet: document.getElementById('directionSet'),
+            customDirectionSettings: document.getElementById('customDirectionSettings'),
+            customDirections: document.getElementById('customDirections'),
+            directionOffset: document.getElementById('directionOffset'),
+            directionOrder: document.getElementById('directionOrder'),
+            mirrorSymmetry: document.getElementById('mirrorSymmetry'),
+            mirrorShadowInfo: document.getElementById('mirrorShadowInfo'),
             animationFrames: document.getElementById('animationFrames'),
             autoplayAnimation: document.getElementById('autoplayAnimation'),
             lockPosition: document.getElementById('lockPosition'),
             singleDirection: document.getElementById('singleDirection'),
             singleDirectionInfo: document.getElementById('singleDirectionInfo'),
+            normalPass: document.getElementById('normalPass'),
+            depthPass: document.getElementById('depthPass'),
+            maskPass: document.getElementById('maskPass'),
+            maskSettings: document.getElementById('maskSettings'),
+            maskTarget: document.getElementById('maskTarget'),
+            maskChannel: document.getElementById('maskChannel'),
+            supersampling: document.getElementById('supersampling'),
+            supersamplingFilter: document.getElementById('supersamplingFilter'),
+            shadowMode: document.getElementById('shadowMode'),
+            shadowSettings: document.getElementById('shadowSettings'),
+            shadowOpacity: document.getElementById('shadowOpacity'),
+            shadowOpacityValue: document.getElementById('shadowOpacityValue'),
+            renderStyle: document.getElementById('renderStyle'),
+            toonSettings: document.getElementById('toonSettings'),
+            toonSteps: document.getElementById('toonSteps'),
+            outlineEnabled: document.getElementById('outlineEnabled'),
+            outlineSettings: document.getElementById('outlineSettings'),
+            outlineWidth: document.getElementById('outlineWidth'),
+            outlineColor: document.getElementById('outlineColor'),
+            pixelArtMode: document.getElementById('pixelArtMode'),
+            pixelArtSettings: document.getElementById('pixelArtSettings'),
+            pixelArtResolution: document.getElementById('pixelArtResolution'),
+            pixelArtUpscale: document.getElementById('pixelArtUpscale'),
+            pixelArtPalette: document.getElementById('pixelArtPalette'),
+            pixelArtPaletteSize: document.getElementById('pixelArtPaletteSize'),
+            pixelArtDither: document.getElementById('pixelArtDither'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportFps: document.getElementById('exportFps'),
+            exportLoop: document.getElementById('exportLoop'),
+            exportPivot: document.getElementById('exportPivot'),
+            pixelsPerUnit: document.getElementById('pixelsPerUnit'),
+            resolutionScales: document.getElementById('resolutionScales'),
+            fileNameTemplate: document.getElementById('fileNameTemplate'),
+            folderTemplate: document.getElementById('folderTemplate'),
+            outputTemplate: document.getElementById('outputTemplate'),
+            previewFolderTemplate: document.getElementById('previewFolderTemplate'),
+            archiveTemplate: document.getElementById('archiveTemplate'),
             // Equipment inventory elements
             equipmentSlot: document.getElementById('equipmentSlot'),
             equipmentFile: document.getElementById('equipmentFile'),
@@ -248,6 +304,84 @@ class UIController {
         return value;
     }
 
+    /**
+     * Capture camera preset
+     * @returns {string|null} Key of CONFIG.CAMERA_PRESETS, or null to follow the viewport camera's pitch
+     */
+    getCameraPreset() {
+        const preset = this.elements.cameraPreset.value;
+        return CONFIG.CAMERA_PRESETS[preset] ? preset : null;
+    }
+
+    /**
+     * Elevation ring pitches in degrees, in the order entered (duplicates dropped)
+     * @returns {number[]|null} null when empty, so the preset or viewport pitch is used
+     */
+    getElevations() {
+        const limit = CONFIG.CAMERA.MAX_ELEVATION_DEGREES;
+        const degrees = (this.elements.elevations.value.match(/-?\d+(?:\.\d+)?/g) || [])
+            .map(value => Math.max(-limit, Math.min(limit, parseFloat(value))));
+        const unique = [...new Set(degrees)].slice(0, CONFIG.CAMERA.MAX_ELEVATIONS);
+        return unique.length > 0 ? unique : null;
+    }
+
+    /**
+     * Auto-framing settings
+     * @returns {Object|null} {margin: share of the sprite size per side}, null when disabled
+     */
+    getAutoFramingSettings() {
+        if (!this.elements.autoFraming.checked) {
+            return null;
+        }
+        const percent = parseFloat(this.elements.framingMargin.value);
+        const margin = isNaN(percent) ? CONFIG.FRAMING.DEFAULT_MARGIN : percent / 100;
+        return { margin: Math.max(0, Math.min(CONFIG.FRAMING.MAX_MARGIN, margin)) };
+    }
+
+    updateAutoFramingSettings() {
+        this.elements.framingSettings.style.display = this.elements.autoFraming.checked ? 'block' : 'none';
+    }
+
+    setProjection(type) {
+        this.elements.cameraProjection.value = type;
+        this.updateProjectionSettings();
+    }
+
+    // Projection controls
+    updateProjectionSettings() {
+        const orthographic = this.elements.cameraProjection.value === 'orthographic';
+        const ppu = this.elements.orthoSizeMode.value === 'ppu';
+        this.elements.orthoSettings.style.display = orthographic ? 'block' : 'none';
+        this.elements.orthoHeightSettings.style.display = ppu ? 'none' : 'block';
+        this.elements.orthoPpuSettings.style.display = ppu ? 'block' : 'none';
+    }
+
+    /**
+     * Capture projection
+     * @returns {Object} {type: 'perspective'|'orthographic', sizeMode: 'world'|'ppu', worldHeight, pixelsPerUnit}
+     */
+    getProjectionSettings() {
+        const type = this.elements.cameraProjection.value;
+        const sizeMode = this.elements.orthoSizeMode.value;
+
+        let worldHeight = parseFloat(this.elements.orthoHeight.value);
+        if (isNaN(worldHeight) || worldHeight < CONFIG.CAMERA.MIN_ORTHO_HEIGHT) {
+            worldHeight = CONFIG.CAMERA.DEFAULT_ORTHO_HEIGHT;
+        }
+
+        let pixelsPerUnit = parseFloat(this.elements.orthoPixelsPerUnit.value);
+        if (isNaN(pixelsPerUnit) || pixelsPerUnit <= 0) {
+            pixelsPerUnit = CONFIG.CAMERA.DEFAULT_ORTHO_PIXELS_PER_UNIT;
+        }
+
+        return {
+            type: CONFIG.CAMERA.PROJECTIONS.includes(type) ? type : CONFIG.CAMERA.DEFAULT_PROJECTION,
+            sizeMode: CONFIG.CAMERA.ORTHO_SIZE_MODES.includes(sizeMode) ? sizeMode : CONFIG.CAMERA.DEFAULT_ORTHO_SIZE_MODE,
+            worldHeight,
+            pixelsPerUnit
+        };
+    }
+
     getCameraHeight() {
         const value = parseFloat(this.elements.cameraHeight.value);
         if (isNaN(value) || value < CONFIG.CAMERA.MIN_HEIGHT || value > CONFIG.CAMERA.MAX_HEIGHT) {
@@ -264,9 +398,26 @@ class UIController {
         return value;
     }
 
-    getDirectionCount() {
-        const value = parseInt(this.elements.directionCount.value);
-        return (value === 16) ? 16 : 8; // Only allow 8 or 16
+    /**
+     * Direction ring settings
+     * @returns {Object} {scheme: key of CONFIG.DIRECTION_SETS or 'custom', custom, offsetDegrees, order: 'ccw'|'cw'}
+     */
+    getDirectionSettings() {
+        const scheme = this.elements.directionSet.value;
+        const order = this.elements.directionOrder.value;
+        const offsetDegrees = parseFloat(this.elements.directionOffset.value);
+        return {
+            scheme: scheme === 'custom' || CONFIG.DIRECTION_SETS[scheme] ? scheme : CONFIG.DIRECTIONS.DEFAULT_SET,
+            custom: this.elements.customDirections.value,
+            offsetDegrees: isNaN(offsetDegrees) ? 0 : offsetDegrees,
+            order: CONFIG.DIRECTIONS.ORDERS.includes(order) ? order : CONFIG.DIRECTIONS.DEFAULT_ORDER
+        };
+    }
+
+    updateDirectionSettings() {
+        const custom = this.elements.directionSet.value === 'custom';
+        this.elements.customDirectionSettings.style.display = custom ? 'block' : 'none';
+        this.elements.directionOrder.disabled = custom;
     }
 
     getAnimationFrames() {
@@ -310,10 +461,261 @@ class UIController {
         return this.elements.singleDirection.checked;
     }
 
+    isMirrorSymmetryEnabled() {
+        return this.elements.mirrorSymmetry.checked;
+    }
+
+    // Names of the enabled extra render passes (keys of CONFIG.RENDER_PASSES)
+    getRenderPasses() {
+        const passes = [];
+        if (this.elements.normalPass.checked) {
+            passes.push('normal');
+        }
+        if (this.elements.depthPass.checked) {
+            passes.push('depth');
+        }
+        if (this.elements.maskPass.checked) {
+            passes.push('mask');
+        }
+        return passes;
+    }
+
+    /**
+     * Capture supersampling, independent of the viewport's antialiasing
+     * @returns {Object} {factor: 1|2|4, filter: 'box'|'lanczos'}
+     */
+    getSupersamplingSettings() {
+        const factor = parseInt(this.elements.supersampling.value);
+        const filter = this.elements.supersamplingFilter.value;
+        return {
+            factor: CONFIG.SUPERSAMPLING.FACTORS.includes(factor) ? factor : CONFIG.SUPERSAMPLING.DEFAULT_FACTOR,
+            filter: CONFIG.SUPERSAMPLING.FILTERS.includes(filter) ? filter : CONFIG.SUPERSAMPLING.DEFAULT_FILTER
+        };
+    }
+
+    // Ground shadow controls
+    updateShadowSettings() {
+        this.elements.shadowSettings.style.display = this.elements.shadowMode.value !== 'none' ? 'block' : 'none';
+        this.elements.shadowOpacityValue.textContent = parseFloat(this.elements.shadowOpacity.value).toFixed(2);
+        this.updateMirrorShadowInfo();
+    }
+
+    // Mirrored directions would flip the sideways shadow too, so a shadow turns mirroring off
+    updateMirrorShadowInfo() {
+        const conflict = this.elements.mirrorSymmetry.checked && this.elements.shadowMode.value !== 'none';
+        this.elements.mirrorShadowInfo.style.display = conflict ? 'block' : 'none';
+    }
+
+    /**
+     * Ground shadow settings
+     * @returns {Object} {mode: 'none'|'baked'|'layer', opacity}
+     */
+    getShadowSettings() {
+        const mode = this.elements.shadowMode.value;
+        const opacity = parseFloat(this.elements.shadowOpacity.value);
+        return {
+            mode: CONFIG.SHADOW.MODES.includes(mode) ? mode : CONFIG.SHADOW.DEFAULT_MODE,
+            opacity: isNaN(opacity) ? CONFIG.SHADOW.DEFAULT_OPACITY : opacity
+        };
+    }
+
+    // Render style controls
+    updateRenderStyleSettings() {
+        this.elements.toonSettings.style.display = this.elements.renderStyle.value === 'toon' ? 'block' : 'none';
+        this.elements.outlineSettings.style.display = this.elements.outlineEnabled.checked ? 'block' : 'none';
+    }
+
+    /**
+     * Capture-only render style
+     * @returns {Object} {style, toonSteps, outline: {width, color}|null}
+     */
+    getRenderStyleSettings() {
+        const style = this.elements.renderStyle.value === 'toon' ? 'toon' : CONFIG.RENDER_STYLE.DEFAULT_STYLE;
+
+        let toonSteps = parseInt(this.elements.toonSteps.value);
+        if (isNaN(toonSteps)) {
+            toonSteps = CONFIG.RENDER_STYLE.DEFAULT_TOON_STEPS;
+        }
+        toonSteps = Math.max(CONFIG.RENDER_STYLE.MIN_TOON_STEPS, Math.min(CONFIG.RENDER_STYLE.MAX_TOON_STEPS, toonSteps));
+
+        let outline = null;
+        if (this.elements.outlineEnabled.checked) {
+            let width = parseFloat(this.elements.outlineWidth.value);
+            if (isNaN(width)) {
+                width = CONFIG.RENDER_STYLE.DEFAULT_OUTLINE_WIDTH;
+            }
+            outline = {
+                width: Math.max(CONFIG.RENDER_STYLE.MIN_OUTLINE_WIDTH, Math.min(CONFIG.RENDER_STYLE.MAX_OUTLINE_WIDTH, width)),
+                color: this.elements.outlineColor.value || CONFIG.RENDER_STYLE.DEFAULT_OUTLINE_COLOR
+            };
+        }
+
+        return { style, toonSteps, outline };
+    }
+
+    // Pixel art controls
+    showPixelArtSettings() {
+        this.elements.pixelArtSettings.style.display = 'block';
+    }
+
+    hidePixelArtSettings() {
+        this.elements.pixelArtSettings.style.display = 'none';
+    }
+
+    /**
+     * Pixel art generation settings
+     * @returns {Object|null} {resolution, upscale, alphaThreshold, palette, paletteSize, dither}, or null when off
+     */
+    getPixelArtSettings() {
+        if (!this.elements.pixelArtMode.checked) {
+            return null;
+        }
+
+        const clamp = (value, min, max, fallback) => (isNaN(value) ? fallback : Math.max(min, Math.min(max, value)));
+        return {
+            resolution: clamp(
+                parseInt(this.elements.pixelArtResolution.value),
+                CONFIG.PIXEL_ART.MIN_RESOLUTION,
+                CONFIG.PIXEL_ART.MAX_RESOLUTION,
+                CONFIG.PIXEL_ART.DEFAULT_RESOLUTION
+            ),
+            upscale: this.elements.pixelArtUpscale.checked,
+            alphaThreshold: CONFIG.PIXEL_ART.ALPHA_THRESHOLD,
+            palette: PixelArtProcessor.parsePalette(this.elements.pixelArtPalette.value),
+            paletteSize: clamp(
+                parseInt(this.elements.pixelArtPaletteSize.value),
+                CONFIG.PIXEL_ART.MIN_PALETTE_SIZE,
+                CONFIG.PIXEL_ART.MAX_PALETTE_SIZE,
+                CONFIG.PIXEL_ART.DEFAULT_PALETTE_SIZE
+            ),
+            dither: this.elements.pixelArtDither.checked
+        };
+    }
+
+    // Recolor mask controls
+    showMaskSettings() {
+        this.elements.maskSettings.style.display = 'block';
+    }
+
+    hideMaskSettings() {
+        this.elements.maskSettings.style.display = 'none';
+    }
+
+    /**
+     * Fill the mask target list with equipment slots and model materials
+     * @param {Array} slots - [{id, name}] from EquipmentManager.getAvailableSlots()
+     * @param {string[]} materialKeys - From RecolorMask.getMaterialKeys()
+     */
+    populateMaskTargets(slots, materialKeys) {
+        const previous = this.elements.maskTarget.value;
+        this.elements.maskTarget.innerHTML = '';
+
+        const addGroup = (label, entries) => {
+            if (entries.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            entries.forEach(({ value, text }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                group.appendChild(option);
+            });
+            this.elements.maskTarget.appendChild(group);
+        };
+
+        addGroup('🎨 Materials', materialKeys.map(key => ({ value: `material:${key}`, text: key })));
+        addGroup('⚔️ Equipment Slots', slots.map(slot => ({ value: `slot:${slot.id}`, text: slot.name })));
+
+        if (Array.from(this.elements.maskTarget.options).some(option => option.value === previous)) {
+            this.elements.maskTarget.value = previous;
+        }
+    }
+
+    getMaskTarget() {
+        return this.elements.maskTarget.value;
+    }
+
+    getMaskChannel() {
+        return this.elements.maskChannel.value;
+    }
+
+    setMaskChannel(channel) {
+        this.elements.maskChannel.value = channel;
+    }
+
     setSingleDirectionEnabled(enabled) {
         this.elements.singleDirection.checked = enabled;
     }
 
+    getExportFormat() {
+        const value = this.elements.exportFormat.value;
+        return CONFIG.EXPORT.FORMATS.includes(value) ? value : CONFIG.EXPORT.DEFAULT_FORMAT;
+    }
+
+    getExportFps() {
+        const value = parseInt(this.elements.exportFps.value);
+        if (isNaN(value) || value < CONFIG.EXPORT.MIN_FPS || value > CONFIG.EXPORT.MAX_FPS) {
+            return CONFIG.EXPORT.DEFAULT_FPS;
+        }
+        return value;
+    }
+
+    isExportLoopEnabled() {
+        return this.elements.exportLoop.checked;
+    }
+
+    getExportPivot() {
+        const value = this.elements.exportPivot.value;
+        const isKnown = CONFIG.EXPORT.PIVOTS[value] || CONFIG.EXPORT.ANCHOR_PIVOTS.includes(value);
+        return isKnown ? value : CONFIG.EXPORT.DEFAULT_PIVOT;
+    }
+
+    getPixelsPerUnit() {
+        const value = parseFloat(this.elements.pixelsPerUnit.value);
+        if (isNaN(value) || value <= 0) {
+            return CONFIG.EXPORT.DEFAULT_PIXELS_PER_UNIT;
+        }
+        return value;
+    }
+
+    /**
+     * Parse the comma-separated resolution scales
+     * @returns {number[]} Distinct positive scales, largest first
+     */
+    getResolutionScales() {
+        const scales = this.elements.resolutionScales.value
+            .split(',')
+            .map(value => parseFloat(value))
+            .filter(value => !isNaN(value) && value > 0);
+        const unique = [...new Set(scales)].sort((a, b) => b - a).slice(0, CONFIG.EXPORT.MAX_RESOLUTION_SCALES);
+
+        return unique.length > 0 ? unique : CONFIG.EXPORT.DEFAULT_RESOLUTION_SCALES;
+    }
+
+    // Naming templates fall back to the defaults when left blank
+    getFileNameTemplate() {
+        return this.elements.fileNameTemplate.value.trim() || CONFIG.NAMING.SPRITE_TEMPLATE;
+    }
+
+    // An empty folder template puts loose PNGs at the archive root
+    getFolderTemplate() {
+        return this.elements.folderTemplate.value.trim();
+    }
+
+    // An empty output template keeps each format's own sheet and atlas names
+    getOutputTemplate() {
+        return this.elements.outputTemplate.value.trim();
+    }
+
+    // An empty preview folder template puts previews at the archive root
+    getPreviewFolderTemplate() {
+        return this.elements.previewFolderTemplate.value.trim();
+    }
+
+    getArchiveTemplate() {
+        return this.elements.archiveTemplate.value.trim() || CONFIG.NAMING.ARCHIVE_TEMPLATE;
+    }
+
     showSingleDirectionInfo() {
         this.elements.singleDirectionInfo.style.display = 'block';
     }
@@ -351,6 +753,59 @@ class UIController {
         });
     }
 
+    /**
+     * List clipped and empty frames with thumbnails (click to zoom)
+     * @param {Object|null} report - Result of FrameInspector.inspect()
+     */
+    displayFrameReport(report) {
+        const container = this.elements.frameReport;
+        container.innerHTML = '';
+        if (!report) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const issues = [
+            ...report.clipped.map(({ sprite, edges }) => ({ sprite, text: `clipped at ${edges.join(', ')}`, kind: 'clipped' })),
+            ...report.empty.map(sprite => ({ sprite, text: 'empty frame', kind: 'empty' }))
+        ];
+
+        const summary = document.createElement('h4');
+        summary.textContent = issues.length === 0
+            ? `✅ Frame check: all ${report.checked} frames fit inside the sprite`
+            : `⚠️ Frame check: ${report.clipped.length} clipped, ${report.empty.length} empty of ${report.checked} frames`;
+        container.appendChild(summary);
+
+        if (issues.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'frame-report-list';
+
+            issues.forEach(({ sprite, text, kind }) => {
+                const item = document.createElement('div');
+                item.className = `frame-report-item ${kind}`;
+
+                const displayName = sprite.displayName || sprite.name || 'sprite';
+                const img = document.createElement('img');
+                img.src = sprite.data;
+                img.alt = displayName;
+                img.addEventListener('click', () => {
+                    this.showSpriteModal(sprite.data, `${displayName} (${text})`);
+                });
+
+                const caption = document.createElement('p');
+                caption.textContent = `${displayName}: ${text}`;
+
+                item.appendChild(img);
+                item.appendChild(caption);
+                list.appendChild(item);
+            });
+
+            container.appendChild(list);
+        }
+
+        container.style.display = 'block';
+    }
+
     hideSpritePreview() {
         this.elements.spritePreview.style.display = 'none';
     }
@@ -403,6 +858,53 @@ class UIController {
         this.elements.singleDirection.addEventListener('change', callback);
     }
 
+    onMirrorSymmetryToggle(callback) {
+        this.elements.mirrorSymmetry.addEventListener('change', callback);
+    }
+
+    onShadowSettingsChange(callback) {
+        this.elements.shadowMode.addEventListener('change', callback);
+        this.elements.shadowOpacity.addEventListener('input', callback);
+    }
+
+    onRenderStyleChange(callback) {
+        this.elements.renderStyle.addEventListener('change', callback);
+        this.elements.outlineEnabled.addEventListener('change', callback);
+    }
+
+    onPixelArtToggle(callback) {
+        this.elements.pixelArtMode.addEventListener('change', callback);
+    }
+
+    onMaskPassToggle(callback) {
+        this.elements.maskPass.addEventListener('change', callback);
+    }
+
+    onMaskTargetChange(callback) {
+        this.elements.maskTarget.addEventListener('change', callback);
+    }
+
+    onMaskChannelChange(callback) {
+        this.elements.maskChannel.addEventListener('change', callback);
+    }
+
+    onDirectionSetChange(callback) {
+        this.elements.directionSet.addEventListener('change', callback);
+    }
+
+    onAutoFramingToggle(callback) {
+        this.elements.autoFraming.addEventListener('change', callback);
+    }
+
+    onCameraPresetChange(callback) {
+        this.elements.cameraPreset.addEventListener('change', callback);
+    }
+
+    onProjectionChange(callback) {
+        this.elements.cameraProjection.addEventListener('change', callback);
+        this.elements.orthoSizeMode.addEventListener('change', callback);
+    }
+
     onCameraDistanceChange(callback) {
         this.elements.cameraDistance.addEventListener('input', callback);
     }
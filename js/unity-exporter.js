@@ -0,0 +1,116 @@
+// Unity Exporter - Builds TextureImporter .meta files that pre-slice a sprite sheet
+class UnityExporter {
+    /**
+     * Build a .meta file with spriteMode Multiple and one sprite per frame rect
+     * @param {Object} sheet - Result of SpriteSheetBuilder.buildGridSheet()
+     * @param {Object} settings - {pixelsPerUnit, pivot, getPivot}
+     *   pivot is the texture default, getPivot(sprite, w, h) gives each slice's pivot
+     *   (both normalized, origin bottom-left)
+     * @returns {string} .meta file contents
+     */
+    buildMeta(sheet, settings) {
+        const sprites = sheet.frames.map((frame, index) => ({
+            name: frame.sprite.displayName,
+            // Unity rects start at the bottom-left corner of the texture
+            rect: {
+                x: frame.x,
+                y: sheet.height - frame.y - frame.h,
+                width: frame.w,
+                height: frame.h
+            },
+            pivot: settings.getPivot(frame.sprite, frame.w, frame.h),
+            internalID: CONFIG.EXPORT.UNITY_FIRST_INTERNAL_ID + index * 2
+        }));
+
+        const lines = [
+            'fileFormatVersion: 2',
+            `guid: ${this.generateGuid()}`,
+            'TextureImporter:',
+            '  internalIDToNameTable: []',
+            '  externalObjects: {}',
+            '  serializedVersion: 11',
+            '  mipmaps:',
+            '    mipMapMode: 0',
+            '    enableMipMap: 0',
+            '  isReadable: 0',
+            '  textureType: 8',
+            '  textureShape: 1',
+            '  spriteMode: 2',
+            `  spritePixelsToUnits: ${settings.pixelsPerUnit}`,
+            `  spritePivot: {x: ${settings.pivot.x}, y: ${settings.pivot.y}}`,
+            '  spriteMeshType: 1',
+            '  alignment: 9',
+            '  alphaUsage: 1',
+            '  alphaIsTransparency: 1',
+            '  npotScale: 0',
+            '  spriteSheet:',
+            '    serializedVersion: 2',
+            '    sprites:'
+        ];
+
+        sprites.forEach(sprite => {
+            lines.push(
+                '    - serializedVersion: 2',
+                `      name: ${this.quoteName(sprite.name)}`,
+                '      rect:',
+                '        serializedVersion: 2',
+                `        x: ${sprite.rect.x}`,
+                `        y: ${sprite.rect.y}`,
+                `        width: ${sprite.rect.width}`,
+                `        height: ${sprite.rect.height}`,
+                '      alignment: 9',
+                `      pivot: {x: ${sprite.pivot.x}, y: ${sprite.pivot.y}}`,
+                '      border: {x: 0, y: 0, z: 0, w: 0}',
+                '      outline: []',
+                '      physicsShape: []',
+                '      tessellationDetail: 0',
+                '      bones: []',
+                `      spriteID: ${this.generateGuid()}`,
+                `      internalID: ${sprite.internalID}`,
+                '      vertices: []',
+                '      indices: ',
+                '      edges: []',
+                '      weights: []'
+            );
+        });
+
+        lines.push(
+            '    outline: []',
+            '    physicsShape: []',
+            '    bones: []',
+            '    spriteID: ',
+            '    internalID: 0',
+            '    vertices: []',
+            '    indices: ',
+            '    edges: []',
+            '    weights: []',
+            '    secondaryTextures: []',
+            '    nameFileIdTable:'
+        );
+
+        sprites.forEach(sprite => {
+            lines.push(`      ${this.quoteName(sprite.name)}: ${sprite.internalID}`);
+        });
+
+        lines.push(
+            '  spritePackingTag: ',
+            '  userData: ',
+            '  assetBundleName: ',
+            '  assetBundleVariant: ',
+            ''
+        );
+
+        return lines.join('\n');
+    }
+
+    // Unity GUIDs and sprite IDs are 32 lowercase hex characters
+    generateGuid() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    quoteName(name) {
+        return /^[A-Za-z0-9_.-]+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+    }
+}